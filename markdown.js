@@ -0,0 +1,116 @@
+// Summaries are written by a model reading third-party pages, so they are never
+// parsed as HTML. renderMarkdown builds DOM nodes for the Markdown the
+// summariser produces - paragraphs, headings, bullet and numbered lists,
+// **bold**, *italic*, `code` and [links](https://...) - and everything else,
+// tags included, stays text. Links keep their href only for SAFE_LINK_SCHEMES;
+// any other link is shown as its text.
+
+const SAFE_LINK_SCHEMES = ['http:', 'https:', 'mailto:'];
+
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const BULLET = /^\s*[-*+]\s+(.*)$/;
+const NUMBERED = /^\s*\d{1,9}[.)]\s+(.*)$/;
+const INLINE = /`([^`]+)`|\*\*(.+?)\*\*|__(.+?)__|\[([^\]]+)\]\(([^()\s]+)\)|\*([^*\s](?:[^*]*[^*\s])?)\*|(?<!\w)_([^_\s](?:[^_]*[^_\s])?)_(?!\w)/;
+
+// Only absolute URLs with an allowed scheme; relative links in a summary
+// would point into the dashboard
+function safeHref(url) {
+    try {
+        const parsed = new URL(url);
+        return SAFE_LINK_SCHEMES.includes(parsed.protocol) ? parsed.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function appendInline(parent, text) {
+    let rest = text;
+    for (let match = INLINE.exec(rest); match; match = INLINE.exec(rest)) {
+        if (match.index) parent.appendChild(document.createTextNode(rest.slice(0, match.index)));
+        rest = rest.slice(match.index + match[0].length);
+
+        const [, code, strong, strongAlt, linkText, linkUrl, em, emAlt] = match;
+        if (code !== undefined) {
+            const element = document.createElement('code');
+            element.textContent = code;
+            parent.appendChild(element);
+        } else if (strong !== undefined || strongAlt !== undefined) {
+            appendInline(parent.appendChild(document.createElement('strong')), strong ?? strongAlt);
+        } else if (linkText !== undefined) {
+            const href = safeHref(linkUrl);
+            if (!href) {
+                appendInline(parent, linkText);
+                continue;
+            }
+            const link = document.createElement('a');
+            link.href = href;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            appendInline(link, linkText);
+            parent.appendChild(link);
+        } else {
+            appendInline(parent.appendChild(document.createElement('em')), em ?? emAlt);
+        }
+    }
+    if (rest) parent.appendChild(document.createTextNode(rest));
+}
+
+// Lines into headings, lists and paragraphs. A list can start straight after
+// a paragraph line, as in "Headline\n- first change\n- second change".
+function parseBlocks(text) {
+    const blocks = [];
+    let current = null;
+
+    for (const line of String(text ?? '').replace(/\r\n?/g, '\n').split('\n')) {
+        const heading = HEADING.exec(line);
+        const bullet = BULLET.exec(line);
+        const numbered = bullet ? null : NUMBERED.exec(line);
+
+        if (!line.trim()) {
+            current = null;
+        } else if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+            current = null;
+        } else if (bullet || numbered) {
+            const ordered = Boolean(numbered);
+            if (!current || current.type !== 'list' || current.ordered !== ordered) {
+                current = { type: 'list', ordered, items: [] };
+                blocks.push(current);
+            }
+            current.items.push((bullet || numbered)[1]);
+        } else if (current && current.type === 'list' && /^\s/.test(line)) {
+            current.items[current.items.length - 1] += ` ${line.trim()}`;
+        } else if (current && current.type === 'paragraph') {
+            current.lines.push(line.trim());
+        } else {
+            current = { type: 'paragraph', lines: [line.trim()] };
+            blocks.push(current);
+        }
+    }
+    return blocks;
+}
+
+// Returns a DocumentFragment, ready for replaceChildren()
+function renderMarkdown(text) {
+    const fragment = document.createDocumentFragment();
+
+    for (const block of parseBlocks(text)) {
+        if (block.type === 'heading') {
+            // Summary headings sit inside cards and panels, so they start at h4
+            appendInline(fragment.appendChild(document.createElement(`h${Math.min(6, block.level + 3)}`)), block.text);
+        } else if (block.type === 'list') {
+            const list = fragment.appendChild(document.createElement(block.ordered ? 'ol' : 'ul'));
+            block.items.forEach(item => appendInline(list.appendChild(document.createElement('li')), item));
+        } else {
+            const paragraph = fragment.appendChild(document.createElement('p'));
+            block.lines.forEach((line, index) => {
+                if (index) paragraph.appendChild(document.createElement('br'));
+                appendInline(paragraph, line);
+            });
+        }
+    }
+    return fragment;
+}
+
+// Loaded as a plain script by index.html; the tests require() it
+if (typeof module !== 'undefined') module.exports = { parseBlocks, renderMarkdown, safeHref };
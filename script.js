@@ -6,46 +6,189 @@ const friendlyMessages = {
     error: "Oops! 😅 Having trouble checking updates right now. I'll try again soon."
 };
 
+// Diff text comes from third-party pages, so it must never be parsed as markup
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// How long a source may go without a successful check, in multiples of its frequency
+const FREQUENCY_HOURS = { hourly: 1, daily: 24, weekly: 168 };
+const STALE_AFTER_PERIODS = 2;
+const FAILING_AFTER_ATTEMPTS = 3;
+
+const HEALTH_RANK = { ok: 0, checking: 1, warning: 2, failing: 3 };
+
+const SEVERITY_LABELS = { info: 'Info', low: 'Low', medium: 'Medium', high: 'High', critical: 'Critical' };
+const SEVERITY_ORDER = Object.keys(SEVERITY_LABELS);
+
+// Reviewer triage, recorded in data/reviews/ by the "Review an update" workflow
+const REVIEW_LABELS = { new: 'New', 'in-review': 'In review', actioned: 'Actioned', 'not-relevant': 'Not relevant' };
+const RESOLVED_STATES = ['actioned', 'not-relevant'];
+const REVIEW_WORKFLOW_URL = 'https://github.com/Thomas-Amann-IPAustralia/ai-steward-tracker/actions/workflows/review-update.yml';
+
+function renderReviewBadge(review) {
+    return `<span class="review-badge review-${review.state}">${REVIEW_LABELS[review.state]}${review.assignee ? ` · ${escapeHtml(review.assignee)}` : ''}</span>`;
+}
+
+// What the dashboard is built from, checked again every REFRESH_INTERVAL_MS
+const DATA_FILES = {
+    updates: './data/updates.json',
+    sources: './data/sources.json',
+    status: './data/status.json',
+    history: './data/history/index.json',
+    reviews: './data/reviews/index.json'
+};
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+
+// The newest update the reader had seen on their last visit, so newer ones can be flagged
+const LAST_SEEN_KEY = 'ai-steward-last-seen';
+
+// Update history paging, and the filters mirrored into the page URL so a filtered view can be shared
+const HISTORY_PAGE_SIZE = 10;
+const FILTER_PARAMS = ['q', 'source', 'type', 'severity', 'state', 'from', 'to'];
+
+function renderSeverityBadge(severity) {
+    if (!SEVERITY_LABELS[severity]) return '';
+    return `<span class="severity-badge severity-${severity}">${SEVERITY_LABELS[severity]} severity</span>`;
+}
+
+function formatDateTime(value) {
+    return new Date(value).toLocaleString('en-AU', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// Calendar dates (YYYY-MM-DD) as written, without a timezone shift
+function formatDate(value) {
+    return new Date(`${value}T00:00:00`).toLocaleDateString('en-AU', { dateStyle: 'medium' });
+}
+
+// localStorage can be unavailable (private windows, locked-down browsers); the
+// dashboard then just doesn't remember what was seen
+function readLastSeen() {
+    try {
+        return localStorage.getItem(LAST_SEEN_KEY);
+    } catch (error) {
+        console.log('Could not read last visit', error);
+        return null;
+    }
+}
+
+function writeLastSeen(timestamp) {
+    try {
+        localStorage.setItem(LAST_SEEN_KEY, timestamp);
+    } catch (error) {
+        console.log('Could not remember last visit', error);
+    }
+}
+
 class AIStwardDashboard {
     constructor() {
         this.updates = [];
+        this.historyMonths = null;
+        this.historyUpdates = new Map();
+        this.loadedMonths = new Set();
+        this.filters = this.readFiltersFromUrl();
+        this.shown = HISTORY_PAGE_SIZE;
+        this.documentTypes = {};
+        this.reviews = {};
+        this.status = { documents: {} };
         this.platforms = [];
         this.policies = [];
+        this.lastSeen = readLastSeen();
         this.init();
     }
 
     async init() {
+        this.bindDetailView();
+        this.bindFilters();
+        this.bindNewSinceBanner();
         await this.loadData();
+        // On a first visit nothing is unread, but anything that arrives while the page is open is
+        if (!this.lastSeen) this.lastSeen = this.newestTimestamp() || new Date().toISOString();
+        this.rememberLastSeen();
         this.renderDashboard();
+        this.openLinkedUpdate();
         this.startAutoRefresh();
     }
 
+    // Resolves to whether anything changed since the last load. Requests
+    // revalidate with the server, so an unchanged file is answered from the
+    // browser cache (304) instead of being downloaded again; files are compared
+    // by ETag, or by content when the server sends none.
     async loadData() {
         try {
-            const [updatesRes, platformsRes, policiesRes] = await Promise.all([
-                fetch('./data/updates.json'),
-                fetch('./data/platforms/'),
-                fetch('./data/policies/')
-            ]);
-
-            if (updatesRes.ok) {
-                this.updates = await updatesRes.json();
+            const files = await Promise.all(Object.entries(DATA_FILES).map(async ([key, url]) => {
+                const response = await fetch(url, { cache: 'no-cache' });
+                if (!response.ok) return { key, data: null, version: `HTTP ${response.status}` };
+                const text = await response.text();
+                return { key, data: JSON.parse(text), version: response.headers.get('ETag') || text };
+            }));
+            const version = files.map(file => file.version).join('\n');
+            if (version === this.dataVersion) return false;
+            this.dataVersion = version;
+            const { updates: feed, sources: registry, status, history, reviews } = Object.fromEntries(files.map(file => [file.key, file.data]));
+
+            // One feed for platforms and policies; see data/schemas/updates.schema.json
+            if (feed) {
+                this.updates = feed.updates || [];
+            }
+
+            // The same registry the check scripts read, so the cards match what is checked
+            if (registry) {
+                this.documentTypes = registry.documentTypes;
+                this.platforms = registry.sources.filter(source => source.category === 'platform');
+                this.policies = registry.sources.filter(source => source.category === 'policy');
+            }
+
+            if (status) {
+                this.status = status;
             }
+
+            if (reviews) {
+                this.reviews = reviews.reviews;
+            }
+
+            // Monthly shards are fetched on demand as the history is paged and filtered
+            this.historyUpdates = new Map();
+            this.loadedMonths = new Set();
+            this.historyMonths = history ? history.months : null;
+            if (!this.historyMonths) {
+                this.updates.forEach(update => this.historyUpdates.set(update.id, update));
+            }
+            return true;
         } catch (error) {
             console.log('Loading initial data...', error);
+            return false;
         }
     }
 
     renderDashboard() {
+        this.renderNewSinceBanner();
+        this.renderFilterOptions();
         this.renderRecentUpdates();
         this.renderPlatformStatus();
         this.renderPolicyStatus();
     }
 
-    renderRecentUpdates() {
+    async renderRecentUpdates() {
         const container = document.getElementById('updates-container');
-        
-        if (!this.updates.length) {
+        const count = document.querySelector('.history-count');
+        const loadMore = document.getElementById('load-more');
+        const render = this.renderToken = (this.renderToken || 0) + 1;
+
+        // One more than we show, to know whether "Load more" has anything behind it
+        await this.loadHistoryUntil(this.shown + 1);
+        if (render !== this.renderToken) return;
+
+        const matches = this.matchingUpdates();
+        const hasMore = matches.length > this.shown;
+        const filtered = FILTER_PARAMS.some(param => this.filters[param]);
+
+        if (!matches.length && !filtered) {
             container.innerHTML = `
                 <div class="update-card">
                     <h3>👋 Welcome to your AI Steward Dashboard!</h3>
@@ -53,68 +196,663 @@ class AIStwardDashboard {
                     <small>Last checked: Setting up monitoring...</small>
                 </div>
             `;
+            count.textContent = '';
+            loadMore.hidden = true;
             return;
         }
 
-        const recentUpdates = this.updates
-            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-            .slice(0, 5);
-
-        container.innerHTML = recentUpdates.map(update => `
-            <div class="update-card">
-                <div class="status-indicator status-${update.type}"></div>
-                <h3>${update.title}</h3>
-                <p>${update.summary}</p>
-                <small>Updated: ${new Date(update.timestamp).toLocaleDateString('en-AU')}</small>
-                ${update.action_required ? '<div class="action-required">⚠️ Action may be required</div>' : ''}
-            </div>
+        if (!matches.length) {
+            container.innerHTML = '<p class="diff-empty">No updates match these filters.</p>';
+        } else {
+            container.innerHTML = matches.slice(0, this.shown).map(update => `
+                <div class="update-card clickable${this.isUnread(update) ? ' unread' : ''}" data-update-id="${escapeHtml(update.id)}" tabindex="0" role="button" aria-label="${this.isUnread(update) ? 'Unread: ' : ''}Show changes for ${escapeHtml(update.title)}">
+                    <div class="status-indicator status-updated"></div>
+                    <span class="update-category">${update.category === 'policy' ? 'Australian policy' : 'Platform'}${update.type === 'new-item' ? ' · New item' : ''}</span>
+                    ${this.isUnread(update) ? '<span class="unread-badge">Unread</span>' : ''}
+                    <h3>${escapeHtml(update.title)}</h3>
+                    ${renderSeverityBadge(update.severity)}
+                    ${renderReviewBadge(this.reviewOf(update))}
+                    <div class="update-summary markdown"></div>
+                    ${update.matched_rules && update.matched_rules.length ? `
+                        <ul class="matched-rules">
+                            ${update.matched_rules.map(rule => `<li class="severity-${rule.severity}">${escapeHtml(rule.title)}</li>`).join('')}
+                        </ul>
+                    ` : ''}
+                    <small>Updated: ${new Date(update.timestamp).toLocaleDateString('en-AU')}</small>
+                    ${this.needsAction(update) ? '<div class="action-required">⚠️ Action may be required</div>' : ''}
+                </div>
+            `).join('');
+            // Summaries are model output, so they are built as nodes rather than markup
+            container.querySelectorAll('.update-summary').forEach((element, index) => element.replaceChildren(renderMarkdown(matches[index].summary)));
+        }
+
+        const shown = Math.min(this.shown, matches.length);
+        count.textContent = filtered
+            ? `Showing ${shown} matching update${shown === 1 ? '' : 's'}${hasMore ? ' - load more to see older ones' : ''}`
+            : `Showing the ${shown} most recent update${shown === 1 ? '' : 's'}`;
+        loadMore.hidden = !hasMore;
+        this.bindUpdateLinks(container);
+    }
+
+    // Fetches monthly shards, newest first and skipping months outside the date
+    // filter, until `count` updates match or the history runs out
+    async loadHistoryUntil(count) {
+        if (!this.historyMonths) return;
+        const { start, end } = this.dateRange();
+
+        while (this.matchingUpdates().length < count) {
+            const next = this.historyMonths.find(entry => !this.loadedMonths.has(entry.month)
+                && !(start && new Date(entry.to) < start)
+                && !(end && new Date(entry.from) > end));
+            if (!next) return;
+
+            await this.loadHistoryMonth(next);
+        }
+    }
+
+    async loadHistoryMonth(entry) {
+        if (this.loadedMonths.has(entry.month)) return;
+        this.loadedMonths.add(entry.month);
+        try {
+            const response = await fetch(`./${entry.file}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const shard = await response.json();
+            shard.updates.forEach(update => this.historyUpdates.set(update.id, update));
+        } catch (error) {
+            console.log(`Could not load history for ${entry.month}`, error);
+        }
+    }
+
+    // Every monthly shard, for views that cover all of a document's changes
+    async loadAllHistory() {
+        await Promise.all((this.historyMonths || []).map(entry => this.loadHistoryMonth(entry)));
+    }
+
+    findUpdate(id) {
+        return this.historyUpdates.get(id) || this.updates.find(update => update.id === id) || null;
+    }
+
+    // Feed entries and shared links point at #update-<id>
+    async openLinkedUpdate() {
+        const profile = window.location.hash.match(/^#source-(.+)$/);
+        if (profile) {
+            const source = this.findSource(decodeURIComponent(profile[1]));
+            if (source) this.openSourceProfile(source);
+            return;
+        }
+
+        const match = window.location.hash.match(/^#update-(.+)$/);
+        if (!match) return;
+        const id = decodeURIComponent(match[1]);
+
+        let update = this.findUpdate(id);
+        for (const entry of this.historyMonths || []) {
+            if (update) break;
+            await this.loadHistoryMonth(entry);
+            update = this.findUpdate(id);
+        }
+        if (update) this.openUpdateDetail(update);
+    }
+
+    dateRange() {
+        return {
+            start: this.filters.from ? new Date(`${this.filters.from}T00:00:00`) : null,
+            end: this.filters.to ? new Date(`${this.filters.to}T23:59:59.999`) : null
+        };
+    }
+
+    // Loaded history that passes every filter, newest first
+    matchingUpdates() {
+        const { q, source, type, severity, state } = this.filters;
+        const { start, end } = this.dateRange();
+        const terms = (q || '').toLowerCase().split(/\s+/).filter(Boolean);
+        const minSeverity = SEVERITY_ORDER.indexOf(severity);
+
+        return Array.from(this.historyUpdates.values())
+            .filter(update => {
+                if (source && update.source_id !== source) return false;
+                if (type && update.document_type !== type) return false;
+                if (severity && SEVERITY_ORDER.indexOf(update.severity) < minSeverity) return false;
+                if (state && this.reviewOf(update).state !== state) return false;
+
+                const timestamp = new Date(update.timestamp);
+                if (start && timestamp < start) return false;
+                if (end && timestamp > end) return false;
+
+                const text = `${update.title} ${update.summary} ${update.source_name}`.toLowerCase();
+                return terms.every(term => text.includes(term));
+            })
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    readFiltersFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        return Object.fromEntries(FILTER_PARAMS.map(param => [param, params.get(param) || '']));
+    }
+
+    writeFiltersToUrl() {
+        const params = new URLSearchParams();
+        FILTER_PARAMS.forEach(param => {
+            if (this.filters[param]) params.set(param, this.filters[param]);
+        });
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    }
+
+    bindFilters() {
+        const form = document.getElementById('update-filters');
+        let searchTimer = null;
+
+        const apply = () => {
+            const values = new FormData(form);
+            this.filters = Object.fromEntries(FILTER_PARAMS.map(param => [param, (values.get(param) || '').trim()]));
+            this.shown = HISTORY_PAGE_SIZE;
+            this.writeFiltersToUrl();
+            this.renderRecentUpdates();
+        };
+
+        form.addEventListener('submit', event => event.preventDefault());
+        form.addEventListener('change', apply);
+        form.addEventListener('input', event => {
+            if (event.target.name !== 'q') return;
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(apply, 250);
+        });
+        // Reset clears the fields after this event, so apply once it has
+        form.addEventListener('reset', () => setTimeout(apply));
+
+        document.getElementById('load-more').addEventListener('click', () => {
+            this.shown += HISTORY_PAGE_SIZE;
+            this.renderRecentUpdates();
+        });
+    }
+
+    renderFilterOptions() {
+        const form = document.getElementById('update-filters');
+        const option = (value, label) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`;
+
+        form.elements.source.innerHTML = option('', 'All platforms & agencies') + `
+            <optgroup label="Platforms">${this.platforms.map(source => option(source.id, source.name)).join('')}</optgroup>
+            <optgroup label="Australian agencies">${this.policies.map(source => option(source.id, source.name)).join('')}</optgroup>
+        `;
+        form.elements.type.innerHTML = option('', 'All document types')
+            + Object.entries(this.documentTypes).map(([type, label]) => option(type, label)).join('');
+        form.elements.severity.innerHTML = option('', 'Any severity')
+            + SEVERITY_ORDER.slice(1).map(severity => option(severity, severity === 'critical' ? 'Critical only' : `${SEVERITY_LABELS[severity]} and above`)).join('');
+        form.elements.state.innerHTML = option('', 'Any review state')
+            + Object.entries(REVIEW_LABELS).map(([state, label]) => option(state, label)).join('');
+
+        FILTER_PARAMS.forEach(param => {
+            form.elements[param].value = this.filters[param];
+        });
+    }
+
+    // Anything carrying data-update-id opens that update's detail view
+    bindUpdateLinks(container) {
+        container.querySelectorAll('[data-update-id]').forEach(element => {
+            const update = this.findUpdate(element.dataset.updateId);
+            if (!update) return;
+            const open = event => {
+                // Links in a summary go where they point
+                if (event.target.closest('a')) return;
+                event.stopPropagation();
+                this.openUpdateDetail(update);
+            };
+            element.addEventListener('click', open);
+            element.addEventListener('keydown', event => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    open(event);
+                }
+            });
+        });
+    }
+
+    reviewOf(update) {
+        return this.reviews[update.id] || { state: 'new', assignee: null, resolvedAt: null };
+    }
+
+    // The action banner stays until a reviewer resolves the update
+    needsAction(update) {
+        return update.action_required && !RESOLVED_STATES.includes(this.reviewOf(update).state);
+    }
+
+    latestUpdateFor(source) {
+        return this.updates
+            .filter(update => update.source_id === source.id)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0] || null;
+    }
+
+    // Each opening gets a token, so a diff that arrives after another update
+    // was opened (or the overlay closed) is dropped rather than shown there
+    async openUpdateDetail(update) {
+        const opened = this.detailToken = (this.detailToken || 0) + 1;
+        const overlay = document.getElementById('update-detail');
+        const body = overlay.querySelector('.diff-body');
+        document.getElementById('source-profile').hidden = true;
+
+        overlay.querySelector('#detail-title').textContent = update.title;
+        overlay.querySelector('.detail-summary').replaceChildren(renderMarkdown(update.analysis ? update.analysis.headline : update.summary));
+        overlay.querySelector('.detail-analysis').innerHTML = this.renderAnalysis(update.analysis);
+        overlay.querySelector('.detail-rules').innerHTML = this.renderMatchedRules(update);
+        this.renderReview(update, opened);
+        const isNewItem = update.type === 'new-item';
+        overlay.querySelector('.detail-meta').innerHTML = `
+            ${isNewItem ? `New on the ${escapeHtml((this.documentTypes[update.document_type] || update.document_type).toLowerCase())} page` : 'Updated'} ${new Date(update.timestamp).toLocaleString('en-AU')} ·
+            ${isNewItem && update.published_at ? `Published ${formatDate(update.published_at)} · ` : ''}
+            <a href="${escapeHtml(update.url)}" target="_blank" rel="noopener noreferrer">${isNewItem ? 'Read the article ↗' : 'View source document ↗'}</a>
+        `;
+        body.innerHTML = '<p class="diff-empty">Loading changes...</p>';
+        this.setDiffNavigation([]);
+        overlay.hidden = false;
+        overlay.querySelector('.detail-close').focus();
+        window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}#update-${encodeURIComponent(update.id)}`);
+
+        if (isNewItem) {
+            body.innerHTML = '<p class="diff-empty">This is a new item on a listing page, so there is no earlier version to compare with.</p>';
+            return;
+        }
+        if (!update.diff) {
+            body.innerHTML = '<p class="diff-empty">No text comparison is stored for this update - it may be the first time this document was checked.</p>';
+            return;
+        }
+
+        try {
+            const response = await fetch(`./${update.diff}`);
+            if (opened !== this.detailToken) return;
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const diff = await response.json();
+            if (opened !== this.detailToken) return;
+            body.innerHTML = this.renderDiff(diff);
+            this.setDiffNavigation(Array.from(body.querySelectorAll('.diff-hunk')));
+        } catch (error) {
+            console.log('Could not load diff', error);
+            if (opened !== this.detailToken) return;
+            body.innerHTML = `<p class="diff-empty">${friendlyMessages.error}</p>`;
+        }
+    }
+
+    // Review state, notes and who changed what, from the update's sidecar file.
+    // `opened` is the detail token it was called with (see openUpdateDetail).
+    async renderReview(update, opened) {
+        const container = document.getElementById('update-detail').querySelector('.detail-review');
+        const summary = this.reviewOf(update);
+        const howTo = `
+            <p class="review-help">
+                To change this, run the <a href="${REVIEW_WORKFLOW_URL}" target="_blank" rel="noopener noreferrer">Review an update workflow</a>
+                with update id <code>${escapeHtml(update.id)}</code>.
+            </p>
+        `;
+
+        container.innerHTML = `
+            <h3>Review</h3>
+            ${renderReviewBadge(summary)}
+            ${summary.resolvedAt ? `<small>Resolved ${formatDateTime(summary.resolvedAt)}</small>` : ''}
+            ${howTo}
+        `;
+        if (!this.reviews[update.id]) return;
+
+        try {
+            const response = await fetch(`./data/reviews/${encodeURIComponent(update.id)}.json`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const review = await response.json();
+            if (opened !== this.detailToken) return;
+            container.innerHTML = `
+                <h3>Review</h3>
+                ${renderReviewBadge(review)}
+                ${review.resolvedAt ? `<small>Resolved ${formatDateTime(review.resolvedAt)}</small>` : ''}
+                ${review.notes.length ? `
+                    <ul class="review-notes">
+                        ${review.notes.map(note => `
+                            <li><blockquote>${escapeHtml(note.text)}</blockquote><small>${escapeHtml(note.by)}, ${formatDateTime(note.at)}</small></li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                <details class="review-history">
+                    <summary>History (${review.history.length} change${review.history.length === 1 ? '' : 's'})</summary>
+                    <ul>
+                        ${review.history.map(entry => `<li>${formatDateTime(entry.at)} - ${escapeHtml(entry.by)}: ${escapeHtml(this.describeReviewChange(entry.changes))}</li>`).join('')}
+                    </ul>
+                </details>
+                ${howTo}
+            `;
+        } catch (error) {
+            console.log('Could not load review', error);
+        }
+    }
+
+    describeReviewChange(changes) {
+        const parts = [];
+        if (changes.state) parts.push(`${REVIEW_LABELS[changes.state.from]} → ${REVIEW_LABELS[changes.state.to]}`);
+        if (changes.assignee) parts.push(changes.assignee.to ? `assigned to ${changes.assignee.to}` : 'unassigned');
+        if (changes.note) parts.push('added a note');
+        return parts.join(', ');
+    }
+
+    // The summariser's structured reading of the change; every quote was checked
+    // against the document text before the update was saved
+    renderAnalysis(analysis) {
+        if (!analysis) return '';
+        return `
+            ${analysis.fallback ? '<p class="analysis-fallback">The summariser could not analyse all of this change, so some passages were picked out automatically. Please review it manually.</p>' : ''}
+            ${analysis.changes.length ? `
+                <ul class="analysis-changes">
+                    ${analysis.changes.map(change => `
+                        <li>
+                            <strong>${escapeHtml(change.description)}</strong>
+                            ${change.section ? `<span class="rule-section">in "${escapeHtml(change.section)}"</span>` : ''}
+                            <blockquote>${escapeHtml(change.quote)}</blockquote>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+            ${analysis.topics.length ? `<p class="analysis-topics">${analysis.topics.map(topic => `<span class="analysis-topic">${escapeHtml(topic)}</span>`).join('')}</p>` : ''}
+            <p class="analysis-ai">
+                <strong>${analysis.ai_relevant ? 'AI-related' : 'Not AI-related'}</strong>${analysis.ai_reasoning ? ` - ${escapeHtml(analysis.ai_reasoning)}` : ''}
+            </p>
+            ${analysis.fallback ? '' : `<p class="analysis-severity">Summariser's severity suggestion: ${renderSeverityBadge(analysis.severity)}</p>`}
+        `;
+    }
+
+    // Why the update was rated as it was: each rule that fired and the text it matched
+    renderMatchedRules(update) {
+        if (!update.matched_rules || !update.matched_rules.length) {
+            return update.severity ? `${renderSeverityBadge(update.severity)} <span class="diff-empty">No classification rules matched this change.</span>` : '';
+        }
+        return `
+            ${renderSeverityBadge(update.severity)}
+            <ul class="matched-rules detailed">
+                ${update.matched_rules.map(rule => `
+                    <li class="severity-${rule.severity}">
+                        <strong>${escapeHtml(rule.title)}</strong>
+                        ${rule.section ? `<span class="rule-section">in "${escapeHtml(rule.section)}"</span>` : ''}
+                        <blockquote>${escapeHtml(rule.text)}</blockquote>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    closeUpdateDetail() {
+        this.detailToken = (this.detailToken || 0) + 1;
+        document.getElementById('update-detail').hidden = true;
+        window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+    }
+
+    renderDiff(diff) {
+        if (!diff.hunks || !diff.hunks.length) {
+            return '<p class="diff-empty">No text differences were recorded for this update.</p>';
+        }
+
+        const block = (text, className) => `<div class="diff-block ${className}">${escapeHtml(text.replace(/^#{1,6} /, ''))}</div>`;
+
+        return diff.hunks.map((hunk, index) => `
+            <section class="diff-hunk" id="diff-hunk-${index}">
+                <h4>${escapeHtml((hunk.section || 'Start of document').replace(/^#{1,6} /, ''))}</h4>
+                ${hunk.contextBefore.map(text => block(text, 'diff-context')).join('')}
+                ${hunk.changes.map(change => {
+                    if (change.type === 'context') return block(change.text, 'diff-context');
+                    if (change.type === 'removed') return block(change.before, 'diff-removed');
+                    if (change.type === 'added') return block(change.after, 'diff-added');
+                    return `<div class="diff-block diff-modified">${change.segments.map(segment => {
+                        if (segment.type === 'removed') return `<del>${escapeHtml(segment.value)}</del>`;
+                        if (segment.type === 'added') return `<ins>${escapeHtml(segment.value)}</ins>`;
+                        return escapeHtml(segment.value);
+                    }).join('')}</div>`;
+                }).join('')}
+                ${hunk.contextAfter.map(text => block(text, 'diff-context')).join('')}
+            </section>
         `).join('');
     }
 
-    renderPlatformStatus() {
-        const platforms = [
-            'Claude', 'ChatGPT', 'Gemini', 'Perplexity', 
-            'Midjourney', 'Sora', 'Copilot', 'Eleven Labs'
-        ];
+    setDiffNavigation(hunks) {
+        const overlay = document.getElementById('update-detail');
+        const position = overlay.querySelector('.diff-position');
+        const [previous, next] = overlay.querySelectorAll('.diff-nav button');
+        let current = 0;
+
+        const show = index => {
+            current = index;
+            position.textContent = hunks.length ? `Change ${current + 1} of ${hunks.length}` : '';
+            previous.disabled = current <= 0;
+            next.disabled = current >= hunks.length - 1;
+            hunks.forEach((hunk, i) => hunk.classList.toggle('current', i === current));
+            if (hunks[current]) hunks[current].scrollIntoView({ behavior: 'smooth', block: 'start' });
+        };
+
+        previous.onclick = () => show(current - 1);
+        next.onclick = () => show(current + 1);
+        position.textContent = hunks.length ? `Change 1 of ${hunks.length}` : '';
+        previous.disabled = true;
+        next.disabled = hunks.length <= 1;
+        if (hunks[0]) hunks[0].classList.add('current');
+    }
+
+    bindDetailView() {
+        const overlay = document.getElementById('update-detail');
+        overlay.querySelector('.detail-close').addEventListener('click', () => this.closeUpdateDetail());
+        overlay.addEventListener('click', event => {
+            if (event.target === overlay) this.closeUpdateDetail();
+        });
+
+        const profile = document.getElementById('source-profile');
+        profile.querySelector('.detail-close').addEventListener('click', () => this.closeSourceProfile());
+        profile.addEventListener('click', event => {
+            if (event.target === profile) this.closeSourceProfile();
+        });
+
+        document.addEventListener('keydown', event => {
+            if (event.key !== 'Escape') return;
+            if (!overlay.hidden) this.closeUpdateDetail();
+            else if (!profile.hidden) this.closeSourceProfile();
+        });
+    }
+
+    findSource(id) {
+        return [...this.platforms, ...this.policies].find(source => source.id === id) || null;
+    }
+
+    bindProfileLinks(container) {
+        container.querySelectorAll('[data-source-id]').forEach(link => {
+            const source = this.findSource(link.dataset.sourceId);
+            link.addEventListener('click', event => {
+                event.preventDefault();
+                if (source) this.openSourceProfile(source);
+            });
+        });
+    }
 
+    // A source's profile: the baseline overview of each document from when it
+    // was first seen (data/profiles/), and the changes recorded since
+    async openSourceProfile(source) {
+        const overlay = document.getElementById('source-profile');
+        const body = overlay.querySelector('.profile-body');
+
+        overlay.querySelector('#profile-title').textContent = source.name;
+        overlay.querySelector('.detail-meta').textContent = `${source.category === 'policy' ? 'Australian policy' : 'Platform'} · Monitoring ${this.describeDocuments(source)}`;
+        body.innerHTML = '<p class="diff-empty">Loading profile...</p>';
+        overlay.hidden = false;
+        overlay.querySelector('.detail-close').focus();
+        window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}#source-${encodeURIComponent(source.id)}`);
+
+        let profile = null;
+        const shards = this.loadAllHistory();
+        try {
+            const response = await fetch(`./data/profiles/${encodeURIComponent(source.id)}.json`);
+            if (response.ok) profile = await response.json();
+        } catch (error) {
+            console.log('Could not load profile', error);
+        }
+        // The profile covers the document's whole history, not just the recent updates
+        await shards;
+        const allUpdates = new Map(this.updates.map(update => [update.id, update]));
+        this.historyUpdates.forEach((update, id) => allUpdates.set(id, update));
+        const history = [...allUpdates.values()].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        const baselines = new Map((profile ? profile.documents : []).map(baseline => [baseline.document_id, baseline]));
+        // Files linked from a monitored page are only on the profile, not in the registry
+        const registryIds = new Set(source.documents.map(document => document.id));
+        const linkedFiles = (profile ? profile.documents : [])
+            .filter(baseline => !registryIds.has(baseline.document_id))
+            .map(baseline => ({ id: baseline.document_id, type: baseline.document_type, url: baseline.url, title: baseline.title }));
+        body.innerHTML = source.documents.concat(linkedFiles).map(document => {
+            const baseline = baselines.get(document.id);
+            const changes = history.filter(update => update.document_id === document.id);
+            return `
+                <section class="profile-document">
+                    <h3>${escapeHtml(this.documentTypes[document.type] || document.type)}${document.title ? `: ${escapeHtml(document.title)}` : ''}</h3>
+                    <p><a href="${escapeHtml(document.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(document.url)} ↗</a></p>
+                    ${baseline ? `
+                        <small>Baseline captured ${formatDateTime(baseline.captured_at)} (version ${baseline.version})</small>
+                        <p class="detail-summary">${escapeHtml(baseline.analysis.headline)}</p>
+                        ${this.renderAnalysis(baseline.analysis)}
+                    ` : '<p class="diff-empty">No baseline yet - one is captured the first time this document is checked.</p>'}
+                    <h4>Changes since</h4>
+                    ${changes.length ? `
+                        <ul class="profile-changes">
+                            ${changes.map(update => `
+                                <li class="clickable" data-update-id="${escapeHtml(update.id)}" tabindex="0" role="button">
+                                    ${escapeHtml(update.title)} ${renderSeverityBadge(update.severity)}
+                                    <small>${formatDateTime(update.timestamp)}</small>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    ` : '<p class="diff-empty">No changes recorded yet.</p>'}
+                </section>
+            `;
+        }).join('');
+        this.bindUpdateLinks(body);
+    }
+
+    closeSourceProfile() {
+        document.getElementById('source-profile').hidden = true;
+        window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+    }
+
+    describeDocuments(source) {
+        const labels = source.documents.map(document => this.documentTypes[document.type] || document.type);
+        return Array.from(new Set(labels)).join(' & ');
+    }
+
+    // Worst state across a source's documents, from what the last runs recorded
+    sourceHealth(source) {
+        const staleMs = (FREQUENCY_HOURS[source.checkFrequency] || 24) * STALE_AFTER_PERIODS * 60 * 60 * 1000;
+        let state = 'ok';
+        let lastChecked = null;
+        const problems = [];
+
+        const worsen = next => {
+            if (HEALTH_RANK[next] > HEALTH_RANK[state]) state = next;
+        };
+
+        for (const document of source.documents) {
+            const entry = this.status.documents[document.id];
+            const label = this.documentTypes[document.type] || document.type;
+
+            if (!entry || !entry.lastAttempt) {
+                worsen('checking');
+                continue;
+            }
+            if (!lastChecked || entry.lastAttempt > lastChecked) {
+                lastChecked = entry.lastAttempt;
+            }
+
+            if (entry.consecutiveFailures >= FAILING_AFTER_ATTEMPTS || (entry.consecutiveFailures && !entry.lastSuccess)) {
+                worsen('failing');
+                const since = entry.lastSuccess ? ` - last worked ${formatDateTime(entry.lastSuccess)}` : '';
+                problems.push(`${label}: ${entry.error} (${entry.consecutiveFailures} failed checks${since})`);
+            } else if (entry.consecutiveFailures) {
+                worsen('warning');
+                problems.push(`${label}: ${entry.error}`);
+            } else if (Date.now() - new Date(entry.lastSuccess) > staleMs) {
+                worsen('warning');
+                problems.push(`${label}: not checked since ${formatDateTime(entry.lastSuccess)}`);
+            }
+        }
+
+        return { state, lastChecked, problems };
+    }
+
+    renderSourceCard(source, cardClass) {
+        const health = this.sourceHealth(source);
+        const latest = this.latestUpdateFor(source);
+        return `
+            <div class="${cardClass}">
+                <div class="status-indicator status-${health.state}" title="${health.state}"></div>
+                <h3>${escapeHtml(source.name)}</h3>
+                <p>Monitoring ${escapeHtml(this.describeDocuments(source))}</p>
+                <a class="profile-link" href="#source-${encodeURIComponent(source.id)}" data-source-id="${escapeHtml(source.id)}">View profile</a>
+                ${health.problems.length ? `
+                    <ul class="source-problems">
+                        ${health.problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+                ${latest ? `
+                    <div class="latest-update clickable" data-update-id="${escapeHtml(latest.id)}" tabindex="0" role="button">
+                        <strong>Latest update:</strong> ${escapeHtml(latest.title)}
+                        ${renderSeverityBadge(latest.severity)}
+                        <small>${formatDateTime(latest.timestamp)}</small>
+                    </div>
+                ` : '<p class="latest-update none">No changes recorded yet</p>'}
+                <small>Last checked: ${health.lastChecked ? formatDateTime(health.lastChecked) : 'Not yet checked'}</small>
+            </div>
+        `;
+    }
+
+    renderPlatformStatus() {
         const container = document.getElementById('platforms-grid');
         container.className = 'grid';
-        
-        container.innerHTML = platforms.map(platform => `
-            <div class="platform-card">
-                <div class="status-indicator status-monitored"></div>
-                <h3>${platform}</h3>
-                <p>Monitoring terms & privacy policy</p>
-                <small>Last checked: Today</small>
-            </div>
-        `).join('');
+        container.innerHTML = this.platforms.map(platform => this.renderSourceCard(platform, 'platform-card')).join('');
+        this.bindUpdateLinks(container);
+        this.bindProfileLinks(container);
     }
 
     renderPolicyStatus() {
-        const policies = [
-            'Privacy Act 1988',
-            'Digital Government Strategy',
-            'AI Ethics Framework',
-            'Protective Security Policy',
-            'Data Governance Framework'
-        ];
-
         const container = document.getElementById('policies-grid');
         container.className = 'grid';
-        
-        container.innerHTML = policies.map(policy => `
-            <div class="policy-card">
-                <div class="status-indicator status-monitored"></div>
-                <h3>${policy}</h3>
-                <p>Monitoring for updates</p>
-                <small>Last checked: Today</small>
-            </div>
-        `).join('');
+        container.innerHTML = this.policies.map(policy => this.renderSourceCard(policy, 'policy-card')).join('');
+        this.bindUpdateLinks(container);
+        this.bindProfileLinks(container);
+    }
+
+    // Updates newer than the newest one seen on the reader's last visit
+    isUnread(update) {
+        return Boolean(this.lastSeen) && update.timestamp > this.lastSeen;
+    }
+
+    newestTimestamp() {
+        return this.updates.reduce((newest, update) => update.timestamp > newest ? update.timestamp : newest, '');
     }
 
+    // Sets the marker for the next visit; what is unread now stays marked until "Mark all as read"
+    rememberLastSeen() {
+        const newest = this.newestTimestamp();
+        if (newest) writeLastSeen(newest);
+    }
+
+    bindNewSinceBanner() {
+        document.querySelector('#new-since-banner button').addEventListener('click', () => {
+            this.lastSeen = this.newestTimestamp() || this.lastSeen;
+            this.rememberLastSeen();
+            this.renderNewSinceBanner();
+            this.renderRecentUpdates();
+        });
+    }
+
+    renderNewSinceBanner() {
+        const banner = document.getElementById('new-since-banner');
+        const unread = this.updates.filter(update => this.isUnread(update)).length;
+        banner.querySelector('span').textContent = `${unread} new update${unread === 1 ? '' : 's'} since you last looked`;
+        banner.hidden = !unread;
+    }
+
+    // Checks for new data every few minutes and re-renders only when something changed
     startAutoRefresh() {
-        // Refresh data every 5 minutes
-        setInterval(() => this.loadData(), 5 * 60 * 1000);
+        setInterval(async () => {
+            if (!await this.loadData()) return;
+            this.rememberLastSeen();
+            this.renderDashboard();
+        }, REFRESH_INTERVAL_MS);
     }
 }
 
@@ -122,3 +860,10 @@ class AIStwardDashboard {
 document.addEventListener('DOMContentLoaded', () => {
     new AIStwardDashboard();
 });
+
+// Keeps the dashboard and the latest data it loaded available offline (see sw.js)
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch(error => console.log('Offline support unavailable', error));
+    });
+}
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const { ARCHIVE_DIR, archiveVersion, listVersions, readVersion } = require('./lib/archive');
+const { diffSnapshots, formatDiff } = require('./lib/diff');
+const { loadSources } = require('./lib/sources');
+
+// Browse the document version archive:
+//
+//   node scripts/archive.js list                          every document and its version count
+//   node scripts/archive.js list chatgpt-terms            versions of one document
+//   node scripts/archive.js show chatgpt-terms 2025-03-01 text as it stood on a date
+//   node scripts/archive.js diff chatgpt-terms 3 latest   changes between two versions
+//   node scripts/archive.js import-snapshots              seed the archive from old snapshots/ files
+//
+// Versions can be given as a number, "latest", a hash prefix or a date/time.
+
+const USAGE = `Usage:
+  node scripts/archive.js list [document-id]
+  node scripts/archive.js show <document-id> [version]
+  node scripts/archive.js diff <document-id> <from-version> <to-version>
+  node scripts/archive.js import-snapshots`;
+
+function listDocuments() {
+    const documentsDir = path.join(ARCHIVE_DIR, 'documents');
+    const ids = fs.existsSync(documentsDir)
+        ? fs.readdirSync(documentsDir).filter(file => file.endsWith('.json')).map(file => file.slice(0, -5)).sort()
+        : [];
+    if (!ids.length) {
+        console.log('The archive is empty.');
+        return;
+    }
+    for (const id of ids) {
+        const versions = listVersions(id);
+        const latest = versions[versions.length - 1];
+        console.log(`${id.padEnd(36)} ${String(versions.length).padStart(3)} version(s), latest ${latest.capturedAt}`);
+    }
+}
+
+function listDocumentVersions(documentId) {
+    const versions = listVersions(documentId);
+    if (!versions.length) {
+        throw new Error(`No archived versions for "${documentId}"`);
+    }
+    for (const entry of versions) {
+        console.log(`v${String(entry.version).padEnd(4)} ${entry.capturedAt}  ${entry.hash.slice(0, 12)}  ${entry.length} chars  ${entry.url}`);
+    }
+}
+
+function diffVersions(documentId, fromSpec, toSpec) {
+    const from = readVersion(documentId, fromSpec);
+    const to = readVersion(documentId, toSpec);
+    console.log(`--- ${documentId} v${from.version} (${from.capturedAt})`);
+    console.log(`+++ ${documentId} v${to.version} (${to.capturedAt})`);
+    const diff = diffSnapshots(from.text, to.text);
+    console.log(diff.hunks.length ? formatDiff(diff) : 'No differences.');
+}
+
+// Imports the single-file snapshots the checkers kept before the archive existed
+function importSnapshots() {
+    const registry = loadSources();
+    let imported = 0;
+
+    for (const source of registry.sources) {
+        for (const document of source.documents) {
+            const urlPath = document.url.split('/').pop() || 'index';
+            const legacyName = source.category === 'platform'
+                ? `platforms/${source.name}-${urlPath}.txt`
+                : `policies/${source.name.replace(/[^a-zA-Z0-9]/g, '-')}-${urlPath}.txt`;
+            const legacyPath = path.join('snapshots', legacyName);
+            if (!fs.existsSync(legacyPath) || listVersions(document.id).length) continue;
+
+            archiveVersion(source, document, fs.readFileSync(legacyPath, 'utf8'), fs.statSync(legacyPath).mtime);
+            console.log(`Imported ${legacyPath} as ${document.id} v1`);
+            imported++;
+        }
+    }
+    console.log(`Imported ${imported} snapshot(s).`);
+}
+
+function main(args) {
+    const [command, documentId, ...rest] = args;
+
+    switch (command) {
+        case 'list':
+            return documentId ? listDocumentVersions(documentId) : listDocuments();
+        case 'show':
+            if (!documentId) break;
+            process.stdout.write(readVersion(documentId, rest[0] || 'latest').text);
+            return;
+        case 'diff':
+            if (!documentId || rest.length < 2) break;
+            return diffVersions(documentId, rest[0], rest[1]);
+        case 'import-snapshots':
+            return importSnapshots();
+    }
+
+    console.error(USAGE);
+    process.exitCode = 2;
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+}
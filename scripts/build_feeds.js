@@ -0,0 +1,24 @@
+const { buildFeeds, loadFeedConfig, writeFeeds, FEEDS_DIR } = require('./lib/feeds');
+const { readHistory } = require('./lib/history');
+const { loadSources } = require('./lib/sources');
+
+// Rebuilds the Atom and JSON feeds in data/feeds/ from the update history.
+// Run after the check scripts:
+//
+//   node scripts/build_feeds.js
+//
+// SITE_URL sets the dashboard address entries link to (defaults to the GitHub
+// Pages site); FEED_LIMIT caps the entries per feed (default 50).
+
+function main() {
+    const files = buildFeeds(readHistory(), loadSources(), loadFeedConfig());
+    writeFeeds(files);
+    console.log(`Wrote ${files.length} feed file(s) to ${FEEDS_DIR}.`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+}
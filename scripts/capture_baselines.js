@@ -0,0 +1,39 @@
+const { listVersions, readObject } = require('./lib/archive');
+const { loadSources } = require('./lib/sources');
+const { createSummariser, formatSummary } = require('./lib/summariser');
+const { loadProfile, saveBaseline } = require('./lib/profiles');
+
+// The checkers capture a baseline the first time they see a document. Documents
+// archived before baselines existed have none, so this summarises the first
+// archived version of each of them and adds it to its source's profile:
+//
+//   node scripts/capture_baselines.js
+//
+// Uses the same SUMMARISER_* settings as the checkers. Safe to run more than once.
+
+async function main() {
+    const registry = loadSources();
+    const summariser = createSummariser();
+    let captured = 0;
+
+    for (const source of registry.sources) {
+        const profile = loadProfile(source.id);
+        for (const document of source.documents) {
+            if (profile && profile.documents.some(baseline => baseline.document_id === document.id)) continue;
+            const [first] = listVersions(document.id);
+            if (!first) continue;
+
+            console.log(`  🤖 Summarising ${source.name} - ${document.url} (version 1) with ${summariser.name}...`);
+            const analysis = await summariser.summarise({ kind: source.category, sourceName: source.name, text: readObject(first.hash) });
+            saveBaseline(source, document, { version: first.version, summary: formatSummary(analysis), analysis, capturedAt: new Date(first.capturedAt) });
+            captured++;
+        }
+    }
+
+    console.log(captured ? `✅ Captured ${captured} baseline(s).` : 'Every archived document already has a baseline.');
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,27 @@
+const fs = require('fs');
+const { FORMATS, extractDocumentText } = require('./lib/extract');
+
+// Prints the text the policy checker would archive for a PDF or Word file, to
+// see what a published document extracts to before relying on it:
+//
+//   node scripts/extract_text.js policy.pdf
+
+const USAGE = 'Usage: node scripts/extract_text.js <file.pdf|file.docx>';
+
+function main([file]) {
+    if (!file) {
+        console.error(USAGE);
+        process.exitCode = 2;
+        return;
+    }
+    const format = Object.keys(FORMATS).find(name => file.toLowerCase().endsWith(FORMATS[name].extension));
+    if (!format) throw new Error(`${file} is not a .pdf or .docx file`);
+    process.stdout.write(extractDocumentText(fs.readFileSync(file), format));
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+}
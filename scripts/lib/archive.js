@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { hashContent } = require('./normalise');
+const { now } = require('./clock');
+
+// Every distinct version of every monitored document, kept for audit.
+//
+//   data/archive/objects/ab/abcdef....txt   normalised text, named by its SHA-256
+//   data/archive/documents/<document-id>.json
+//       { documentId, sourceId, url, versions: [{ version, hash, capturedAt, sourceId, url, length }] }
+//
+// Objects are shared, so a page that reverts to earlier wording adds a version
+// entry but no new text file.
+
+const ARCHIVE_DIR = 'data/archive';
+
+function indexPath(documentId, root = ARCHIVE_DIR) {
+    return path.join(root, 'documents', `${documentId}.json`);
+}
+
+function objectPath(hash, root = ARCHIVE_DIR) {
+    return path.join(root, 'objects', hash.slice(0, 2), `${hash}.txt`);
+}
+
+function loadIndex(documentId, root = ARCHIVE_DIR) {
+    const file = indexPath(documentId, root);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function listVersions(documentId, root = ARCHIVE_DIR) {
+    const index = loadIndex(documentId, root);
+    return index ? index.versions : [];
+}
+
+function latestVersion(documentId, root = ARCHIVE_DIR) {
+    const versions = listVersions(documentId, root);
+    return versions.length ? versions[versions.length - 1] : null;
+}
+
+function readObject(hash, root = ARCHIVE_DIR) {
+    const file = objectPath(hash, root);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Archived text ${hash} is missing from ${root}`);
+    }
+    return fs.readFileSync(file, 'utf8');
+}
+
+// Adds text as a new version unless it matches the latest one. Returns the
+// version entry and whether it was new.
+function archiveVersion(source, document, text, capturedAt = now(), root = ARCHIVE_DIR) {
+    const hash = hashContent(text);
+    const index = loadIndex(document.id, root) || { documentId: document.id, sourceId: source.id, url: document.url, versions: [] };
+    const latest = index.versions[index.versions.length - 1];
+    if (latest && latest.hash === hash) {
+        return { entry: latest, isNew: false };
+    }
+
+    const file = objectPath(hash, root);
+    if (!fs.existsSync(file)) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, text);
+    }
+
+    const entry = {
+        version: index.versions.length + 1,
+        hash,
+        capturedAt: capturedAt.toISOString(),
+        sourceId: source.id,
+        url: document.url,
+        length: text.length
+    };
+    index.sourceId = source.id;
+    index.url = document.url;
+    index.versions.push(entry);
+
+    fs.mkdirSync(path.dirname(indexPath(document.id, root)), { recursive: true });
+    fs.writeFileSync(indexPath(document.id, root), JSON.stringify(index, null, 2));
+    return { entry, isNew: true };
+}
+
+// Resolves "latest", a version number, a hash prefix, or a date/time (the
+// version that was current at that moment; a bare date means end of that day)
+function resolveVersion(documentId, spec, root = ARCHIVE_DIR) {
+    const versions = listVersions(documentId, root);
+    if (!versions.length) {
+        throw new Error(`No archived versions for "${documentId}"`);
+    }
+
+    const value = String(spec || 'latest').trim();
+    let match = null;
+
+    if (value === 'latest') {
+        match = versions[versions.length - 1];
+    } else if (/^v?\d+$/.test(value) && !/^\d{5,}$/.test(value)) {
+        match = versions.find(entry => entry.version === Number(value.replace(/^v/, '')));
+    } else if (/^\d{4}-\d{2}-\d{2}/.test(value)) {
+        const moment = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value);
+        if (Number.isNaN(moment)) throw new Error(`Invalid date "${value}"`);
+        match = versions.filter(entry => Date.parse(entry.capturedAt) <= moment).pop() || null;
+        if (!match) throw new Error(`"${documentId}" was first archived ${versions[0].capturedAt}, after ${value}`);
+    } else if (/^[0-9a-f]{4,}$/i.test(value)) {
+        const candidates = versions.filter(entry => entry.hash.startsWith(value.toLowerCase()));
+        if (new Set(candidates.map(entry => entry.hash)).size > 1) {
+            throw new Error(`Hash prefix "${value}" is ambiguous for "${documentId}"`);
+        }
+        match = candidates.pop() || null;
+    }
+
+    if (!match) {
+        throw new Error(`No version "${value}" for "${documentId}"`);
+    }
+    return match;
+}
+
+function readVersion(documentId, spec, root = ARCHIVE_DIR) {
+    const entry = resolveVersion(documentId, spec, root);
+    return { ...entry, text: readObject(entry.hash, root) };
+}
+
+module.exports = {
+    ARCHIVE_DIR,
+    archiveVersion,
+    latestVersion,
+    listVersions,
+    readObject,
+    readVersion,
+    resolveVersion
+};
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const { extractLinks } = require('./normalise');
+const { documentFormat } = require('./extract');
+
+// Policies are often published as PDF or Word files linked from the page we
+// monitor rather than on the page itself. Each linked file becomes a document
+// of its own, tracked (archived, diffed, summarised) like any registry
+// document, with an id derived from the page's:
+//
+//   { id: "dta-ai-policy-for-responsible-use", type: "attachment", url, title,
+//     format: "pdf" | "docx", parent: "dta-ai" }
+//
+// Only links in the part of the page extractText reads count, so files linked
+// from the site's navigation or footer are not picked up. MAX_ATTACHMENTS_PER_PAGE
+// (default 10, 0 to turn this off) caps how many are followed per page.
+
+const ATTACHMENT_TYPE = 'attachment';
+const DEFAULT_LIMIT = 10;
+
+function attachmentLimit() {
+    const limit = Number(process.env.MAX_ATTACHMENTS_PER_PAGE);
+    return process.env.MAX_ATTACHMENTS_PER_PAGE && Number.isInteger(limit) && limit >= 0 ? limit : DEFAULT_LIMIT;
+}
+
+function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50).replace(/-+$/, '');
+}
+
+function fileName(url) {
+    const name = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+    return name.replace(/\.[a-z0-9]+$/i, '');
+}
+
+// PDF and Word links on a fetched page, resolved against its URL. Files seen
+// on earlier checks (known, as stored in the page's status) keep their ids.
+function findAttachments(html, page, { known = [], limit = attachmentLimit() } = {}) {
+    const attachments = [];
+    const knownIds = new Map(known.map(attachment => [attachment.url, attachment.id]));
+    const ids = new Set();
+    const urls = new Set();
+
+    for (const link of extractLinks(html, { selector: page.selector })) {
+        if (attachments.length >= limit) break;
+
+        let url;
+        try {
+            url = new URL(link.href, page.url);
+        } catch (error) {
+            continue;
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') continue;
+        url.hash = '';
+        url = url.toString();
+
+        const format = documentFormat(url);
+        if (!format || urls.has(url)) continue;
+        urls.add(url);
+
+        let name;
+        try {
+            name = fileName(url);
+        } catch (error) {
+            name = '';
+        }
+        let id = knownIds.get(url) || `${page.id}-${slugify(name) || format}`;
+        // Different files with similar names still need their own id
+        if (ids.has(id) || (!knownIds.has(url) && [...knownIds.values()].includes(id))) id = `${id}-${crypto.createHash('sha256').update(url).digest('hex').slice(0, 6)}`;
+        ids.add(id);
+
+        attachments.push({ id, type: ATTACHMENT_TYPE, url, title: link.text || name || url, format, parent: page.id });
+    }
+    return attachments;
+}
+
+module.exports = {
+    ATTACHMENT_TYPE,
+    findAttachments
+};
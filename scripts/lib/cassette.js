@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { now, setClock } = require('./clock');
+
+// Record/replay of every HTTP exchange a check makes - page and file fetches,
+// robots.txt and summariser calls - so a run can be reproduced offline:
+//
+//   node scripts/steward.js check --record fixtures/footer-change
+//   node scripts/steward.js check --replay fixtures/footer-change
+//
+// A cassette is a directory with one JSON file per distinct request:
+//
+//   cassette.json           { recordedAt }
+//   <key-hash>.json         { request: { method, url, conditional, bodyHash },
+//                             responses: [{ status, headers, body, encoding } | { error, code }] }
+//
+// Requests match on method, URL, conditional GET headers and request body.
+// A request made several times gets its responses back in recorded order (the
+// last one repeats), and a summariser prompt that has changed since recording
+// falls back to the next response recorded for the same URL. Network errors
+// are recorded and replayed too. API keys in URLs and request headers are
+// never written. Replays run with the clock fixed at the recording's start,
+// unless the caller sets another time.
+
+const META_FILE = 'cassette.json';
+const ENTRY_FILE = /^[0-9a-f]{16}\.json$/;
+const SECRET_PARAMS = /^(key|api_?key|token|access_token)$/i;
+
+let active = null;
+
+function redactUrl(url) {
+    try {
+        const parsed = new URL(url);
+        for (const name of [...parsed.searchParams.keys()]) {
+            if (SECRET_PARAMS.test(name)) parsed.searchParams.set(name, 'REDACTED');
+        }
+        return parsed.toString();
+    } catch (error) {
+        return url;
+    }
+}
+
+function hashOf(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function describe({ method = 'GET', url, conditional = {}, body = null }) {
+    return {
+        method,
+        url: redactUrl(url),
+        conditional: { etag: conditional.etag || null, lastModified: conditional.lastModified || null },
+        bodyHash: body ? hashOf(body).slice(0, 16) : null
+    };
+}
+
+function keyOf(request) {
+    return hashOf(JSON.stringify(request)).slice(0, 16);
+}
+
+// Bodies are stored as text when they are text, so cassettes can be read and edited
+function encodeBody(body) {
+    if (body === null || body === undefined) return { body: null, encoding: null };
+    const text = body.toString('utf8');
+    return Buffer.from(text, 'utf8').equals(body) && !/[\x00-\x08\x0e-\x1f]/.test(text)
+        ? { body: text, encoding: 'utf8' }
+        : { body: body.toString('base64'), encoding: 'base64' };
+}
+
+function decodeBody(entry) {
+    if (entry.body === null) return null;
+    return Buffer.from(entry.body, entry.encoding === 'base64' ? 'base64' : 'utf8');
+}
+
+// Starts recording into dir (replacing what an earlier recording left there)
+// or replaying from it
+function useCassette(mode, dir) {
+    if (mode !== 'record' && mode !== 'replay') throw new Error(`Unknown cassette mode "${mode}"`);
+    const entries = new Map();
+
+    if (mode === 'record') {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.readdirSync(dir).filter(file => ENTRY_FILE.test(file)).forEach(file => fs.unlinkSync(path.join(dir, file)));
+        fs.writeFileSync(path.join(dir, META_FILE), JSON.stringify({ recordedAt: now().toISOString() }, null, 2));
+    } else {
+        const metaPath = path.join(dir, META_FILE);
+        if (!fs.existsSync(metaPath)) throw new Error(`${dir} is not a cassette (no ${META_FILE})`);
+        setClock(JSON.parse(fs.readFileSync(metaPath, 'utf8')).recordedAt);
+        for (const file of fs.readdirSync(dir).filter(name => ENTRY_FILE.test(name))) {
+            const entry = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            entries.set(file.slice(0, -5), { ...entry, played: 0 });
+        }
+    }
+
+    active = { mode, dir, entries };
+    return active;
+}
+
+function stopCassette() {
+    active = null;
+}
+
+function cassetteMode() {
+    return active ? active.mode : null;
+}
+
+function replayError(request) {
+    const error = new Error(`No recorded response for ${request.method} ${request.url} in cassette ${active.dir}`);
+    error.code = 'ECASSETTE';
+    return error;
+}
+
+function replay(request) {
+    let entry = active.entries.get(keyOf(request));
+    if (!entry && request.bodyHash) {
+        entry = [...active.entries.values()].find(candidate =>
+            candidate.request.method === request.method && candidate.request.url === request.url && candidate.played < candidate.responses.length);
+    }
+    if (!entry) throw replayError(request);
+
+    const recorded = entry.responses[Math.min(entry.played, entry.responses.length - 1)];
+    entry.played++;
+    if (recorded.error) {
+        const error = new Error(recorded.error);
+        if (recorded.code) error.code = recorded.code;
+        throw error;
+    }
+    return { status: recorded.status, headers: recorded.headers, body: decodeBody(recorded) };
+}
+
+async function record(request, perform) {
+    const key = keyOf(request);
+    const entry = active.entries.get(key) || { request, responses: [] };
+    active.entries.set(key, entry);
+    const save = () => fs.writeFileSync(path.join(active.dir, `${key}.json`), JSON.stringify(entry, null, 2));
+
+    try {
+        const response = await perform();
+        entry.responses.push({ status: response.status, headers: response.headers, ...encodeBody(response.body) });
+        save();
+        return response;
+    } catch (error) {
+        entry.responses.push({ error: error.message, code: error.code || null });
+        save();
+        throw error;
+    }
+}
+
+// Makes a request through the active cassette, if there is one. perform()
+// does the real request and resolves to { status, headers, body: Buffer|null }.
+async function throughCassette({ method, url, conditional, body }, perform) {
+    if (!active) return perform();
+    const request = describe({ method, url, conditional, body });
+    return active.mode === 'replay' ? replay(request) : record(request, perform);
+}
+
+module.exports = {
+    cassetteMode,
+    redactUrl,
+    stopCassette,
+    throughCassette,
+    useCassette
+};
@@ -0,0 +1,454 @@
+const { fetchDocument } = require('./fetcher');
+const { createScheduler } = require('./scheduler');
+const { extractText, hashContent } = require('./normalise');
+const { documentFormat, extractDocumentText } = require('./extract');
+const { ATTACHMENT_TYPE, findAttachments } = require('./attachments');
+const { isListingText, listingText, newItemLimit, newItems, readListing } = require('./listing');
+const { diffSnapshots, hasChanges, saveDiff } = require('./diff');
+const { createSummariser, formatSummary } = require('./summariser');
+const { classifyDiff, loadRules } = require('./classify');
+const { archiveVersion, latestVersion, readObject } = require('./archive');
+const { conditionalFor, loadStatus, recordFailure, recordSuccess, saveStatus } = require('./status');
+const { documentTypeLabel, loadSources, sourcesByCategory } = require('./sources');
+const { addUpdate, createUpdate, loadUpdates, saveUpdates, updateId } = require('./updates');
+const { addToHistory } = require('./history');
+const { saveBaseline } = require('./profiles');
+const { runNotifications } = require('./notify');
+const { now } = require('./clock');
+const { cassetteMode } = require('./cassette');
+
+// The platform and policy checks behind `steward check` (and the older
+// check_platforms.js / check_policies.js entry points). Both take
+// { sourceId, dryRun }: sourceId limits the run to one registry source, and a
+// dry run fetches, diffs and summarises as usual but writes nothing under
+// data/ and sends no notifications. Both resolve to a report:
+//
+//   { kind, dryRun, documents: [{ sourceId, documentId, url, outcome, version, updates, error }] }
+//
+// where outcome is one of OUTCOMES and updates lists the ids of any updates
+// created (or that would have been, on a dry run).
+
+const OUTCOMES = ['not-modified', 'unchanged', 'baseline', 'formatting', 'change', 'not-ai', 'no-new-items', 'new-items', 'error'];
+
+const KINDS = { platforms: 'platform', policies: 'policy' };
+
+// The writes a check makes, or stand-ins that only work out what they would be
+function createStore(dryRun) {
+    if (!dryRun) return { archiveVersion, saveBaseline, saveDiff, addToHistory };
+    return {
+        archiveVersion: (source, document, text) => {
+            const latest = latestVersion(document.id);
+            const hash = hashContent(text);
+            if (latest && latest.hash === hash) return { entry: latest, isNew: false };
+            return { entry: { version: latest ? latest.version + 1 : 1, hash }, isNew: true };
+        },
+        saveBaseline: () => null,
+        saveDiff: () => null,
+        addToHistory: () => {}
+    };
+}
+
+// What both checks share: the registry sources to check, the data they
+// update and the report they fill in
+function startRun(kind, { sourceId = null, dryRun = false } = {}) {
+    const registry = loadSources();
+    let sources = sourcesByCategory(registry, KINDS[kind]);
+    if (sourceId) sources = sources.filter(source => source.id === sourceId);
+
+    const report = { kind, dryRun, documents: [] };
+    return {
+        registry,
+        sources,
+        dryRun,
+        report,
+        startedAt: now(),
+        summariser: createSummariser(),
+        rules: loadRules(),
+        status: loadStatus(),
+        feed: loadUpdates(),
+        scheduler: createScheduler(),
+        store: createStore(dryRun),
+        record: (source, document, outcome, details = {}) => {
+            report.documents.push({ sourceId: source.id, documentId: document.id, url: document.url, outcome, version: null, updates: [], ...details });
+        }
+    };
+}
+
+// Fetches every document up front with bounded concurrency; the checks then
+// process them in registry order
+async function fetchAll(run) {
+    const documents = run.sources.flatMap(source => source.documents.map(document => ({ source, document })));
+    const fetched = await run.scheduler.map(documents, ({ document }) => document.url, ({ document }) => {
+        console.log(`  Fetching ${document.url}...`);
+        return fetchDocument(document.url, { conditional: conditionalFor(run.status, document, latestVersion(document.id)) });
+    });
+    return new Map(documents.map(({ document }, index) => [document.id, fetched[index]]));
+}
+
+async function finishRun(run) {
+    if (run.summariser.usage.calls) {
+        console.log(`  🤖 ${run.summariser.name} used ${run.summariser.usage.calls} request(s), ${run.summariser.usage.characters} characters`);
+    }
+    if (run.dryRun) {
+        console.log('  ℹ️  Dry run: nothing was written to data/ and no notifications were sent');
+        return run.report;
+    }
+    saveUpdates(run.feed);
+    saveStatus(run.status);
+
+    // Recorded and replayed runs are for fixtures, not for telling subscribers
+    if (cassetteMode()) {
+        console.log(`  ℹ️  ${cassetteMode() === 'replay' ? 'Replayed' : 'Recorded'} run: no notifications were sent`);
+        return run.report;
+    }
+
+    // Tell subscribers about anything new; a broken channel shouldn't fail the check
+    try {
+        await runNotifications({ since: run.startedAt });
+    } catch (error) {
+        console.error('  ❌ Could not send notifications:', error.message);
+    }
+    return run.report;
+}
+
+async function checkPlatforms(options) {
+    console.log('Starting platform updates check...');
+    const run = startRun('platforms', options);
+    const { registry, summariser, rules, status, feed, store } = run;
+    const responses = await fetchAll(run);
+
+    for (const platform of run.sources) {
+        console.log(`Checking ${platform.name}...`);
+
+        for (const document of platform.documents) {
+            const { url } = document;
+            try {
+                const { value: response, error } = responses.get(document.id);
+                if (error) throw error;
+
+                if (response.notModified) {
+                    const { contentHash } = status.documents[document.id];
+                    recordSuccess(status, platform, document, { httpStatus: response.status, contentHash, etag: response.etag, lastModified: response.lastModified });
+                    console.log(`  ✓ Not modified since last check for ${platform.name} - ${url}`);
+                    run.record(platform, document, 'not-modified');
+                    continue;
+                }
+                // Compare readable policy text only, so markup churn isn't a "change"
+                const content = extractText(response.body, { selector: document.selector });
+                const hash = hashContent(content);
+                recordSuccess(status, platform, document, { httpStatus: response.status, contentHash: hash, etag: response.etag, lastModified: response.lastModified });
+
+                const latest = latestVersion(document.id);
+
+                // First sight: record an overview on the source's profile, not an update
+                if (!latest) {
+                    console.log(`  📘 First time seeing ${platform.name} - ${url}, capturing a baseline`);
+                    const analysis = await summariser.summarise({ kind: 'platform', sourceName: platform.name, text: content });
+                    const { entry } = store.archiveVersion(platform, document, content);
+                    store.saveBaseline(platform, document, { version: entry.version, summary: formatSummary(analysis), analysis });
+                    console.log(`  ✅ Saved baseline profile for ${platform.name}`);
+                    run.record(platform, document, 'baseline', { version: entry.version });
+                    continue;
+                }
+
+                if (hash === latest.hash) {
+                    console.log(`  ✓ No changes for ${platform.name} - ${url}`);
+                    run.record(platform, document, 'unchanged', { version: latest.version });
+                    continue;
+                }
+                console.log(`  📢 Change detected for ${platform.name} - ${url}`);
+
+                const previousContent = readObject(latest.hash);
+                const diff = diffSnapshots(previousContent, content);
+
+                if (!hasChanges(diff)) {
+                    console.log(`  ✓ Only formatting changed for ${platform.name} - ${url}`);
+                    const { entry } = store.archiveVersion(platform, document, content);
+                    run.record(platform, document, 'formatting', { version: entry.version });
+                    continue;
+                }
+
+                console.log(`  🤖 Generating summary with ${summariser.name}...`);
+                const analysis = await summariser.summarise({ kind: 'platform', sourceName: platform.name, text: content, previousText: previousContent, diff });
+
+                // Archive the new version alongside every earlier one
+                const { entry } = store.archiveVersion(platform, document, content);
+
+                // Update tracking data
+                const id = updateId(document, entry.version);
+                const versions = { documentId: document.id, fromHash: latest.hash, toHash: entry.hash };
+                const update = createUpdate(platform, document, {
+                    version: entry.version,
+                    title: `${platform.name} ${documentTypeLabel(registry, document.type)} Update`,
+                    summary: formatSummary(analysis),
+                    diff: store.saveDiff(id, diff, { url, ...versions }),
+                    analysis,
+                    classification: classifyDiff(diff, 'platform', rules)
+                });
+                addUpdate(feed, update);
+                store.addToHistory([update]);
+
+                console.log(`  ✅ Updated tracking data for ${platform.name}`);
+                run.record(platform, document, 'change', { version: entry.version, updates: [update.id] });
+            } catch (error) {
+                console.error(`  ❌ Error checking ${platform.name} - ${url}:`, error.message);
+                recordFailure(status, platform, document, error);
+                run.record(platform, document, 'error', { error: error.message });
+                // Continue with other platforms even if one fails
+            }
+        }
+    }
+
+    await finishRun(run);
+    console.log('Platform updates check completed.');
+    return run.report;
+}
+
+async function checkPolicies(options) {
+    console.log('Starting Australian government policy updates check...');
+    const run = startRun('policies', options);
+    const { summariser, rules, status, feed, scheduler, store } = run;
+    const responses = await fetchAll(run);
+
+    // Baseline on first sight, otherwise archive and report AI-related changes
+    // (or, for a listing page, its AI-related new items). Shared by registry
+    // pages and the PDF/Word files linked from them.
+    async function trackDocument(source, document, content, response, items = null) {
+        const { url } = document;
+        const label = document.title ? `${source.name} - ${document.title}` : source.name;
+
+        // Only process if content seems to contain AI-related terms
+        const aiRelated = containsAIContent(content);
+        const hash = hashContent(content);
+        recordSuccess(status, source, document, { httpStatus: response.status, contentHash: hash, etag: response.etag, lastModified: response.lastModified });
+
+        const latest = latestVersion(document.id);
+
+        // First sight: record an overview on the source's profile, not an update
+        if (!latest) {
+            console.log(`  📘 First time seeing ${label} - ${url}, capturing a baseline`);
+            const analysis = await summariser.summarise({ kind: 'policy', sourceName: source.name, text: content });
+            const { entry } = store.archiveVersion(source, document, content);
+            store.saveBaseline(source, document, { version: entry.version, summary: formatSummary(analysis), analysis });
+            console.log(`  ✅ Saved baseline profile for ${label}`);
+            run.record(source, document, 'baseline', { version: entry.version });
+            return;
+        }
+
+        if (hash === latest.hash) {
+            console.log(`  ✓ No changes for ${label} - ${url}`);
+            run.record(source, document, 'unchanged', { version: latest.version });
+            return;
+        }
+
+        if (items) {
+            const previousContent = readObject(latest.hash);
+            const { entry } = store.archiveVersion(source, document, content);
+            if (!isListingText(previousContent)) {
+                console.log(`  📘 ${label} is now tracked as a listing, capturing its items as a baseline`);
+                run.record(source, document, 'baseline', { version: entry.version });
+                return;
+            }
+            const fresh = newItems(items, previousContent);
+            if (fresh.length) {
+                const updates = await reportNewItems(source, document, fresh, entry.version);
+                run.record(source, document, 'new-items', { version: entry.version, updates });
+            } else {
+                console.log(`  ✓ Listing changed but has no new items for ${label} - ${url}`);
+                run.record(source, document, 'no-new-items', { version: entry.version });
+            }
+            return;
+        }
+        console.log(`  📢 Change detected for ${label} - ${url}`);
+
+        const previousContent = readObject(latest.hash);
+        const diff = diffSnapshots(previousContent, content);
+
+        if (!hasChanges(diff)) {
+            console.log(`  ✓ Only formatting changed for ${label} - ${url}`);
+            const { entry } = store.archiveVersion(source, document, content);
+            run.record(source, document, 'formatting', { version: entry.version });
+            return;
+        }
+
+        console.log(`  🤖 Analyzing content with ${summariser.name}...`);
+        const analysis = await summariser.summarise({ kind: 'policy', sourceName: source.name, text: content, previousText: previousContent, diff });
+
+        // Archive every version for future comparison, AI-related or not
+        const { entry } = store.archiveVersion(source, document, content);
+
+        const classification = classifyDiff(diff, 'policy', rules);
+
+        // Only report if it's actually AI-related, a classification rule fired, or the summariser judged the change AI-relevant
+        if (aiRelated || classification.matched_rules.length || analysis.ai_relevant) {
+            // Update tracking data
+            const id = updateId(document, entry.version);
+            const versions = { documentId: document.id, fromHash: latest.hash, toHash: entry.hash };
+            const update = createUpdate(source, document, {
+                version: entry.version,
+                title: document.title ? `${source.name} - AI Policy Update: ${document.title}` : `${source.name} - AI Policy Update`,
+                summary: formatSummary(analysis),
+                diff: store.saveDiff(id, diff, { url, ...versions }),
+                analysis,
+                classification
+            });
+            addUpdate(feed, update);
+            store.addToHistory([update]);
+
+            console.log(`  ✅ Updated policy tracking data for ${label}`);
+            run.record(source, document, 'change', { version: entry.version, updates: [update.id] });
+        } else {
+            console.log(`  ℹ️  Change detected but no AI-related content found for ${label}`);
+            run.record(source, document, 'not-ai', { version: entry.version });
+        }
+    }
+
+    // Reads each item new on a listing page and reports the AI-related ones,
+    // one update per item. Resolves to the ids of the updates created.
+    async function reportNewItems(source, document, items, version) {
+        const limit = newItemLimit();
+        if (items.length > limit) {
+            console.log(`  ⚠️  ${items.length} new items on ${document.url}, only checking the first ${limit} (has the page layout changed?)`);
+        }
+        const checked = items.slice(0, limit);
+        console.log(`  📰 ${checked.length} new item(s) on ${source.name} - ${document.url}`);
+
+        const pages = await scheduler.map(checked, item => item.url, item => {
+            console.log(`  Fetching ${item.url}...`);
+            return fetchDocument(item.url, { binary: Boolean(documentFormat(item.url)) });
+        });
+
+        const reported = [];
+        for (const [index, item] of checked.entries()) {
+            let text = null;
+            try {
+                const { value: page, error } = pages[index];
+                if (error) throw error;
+                const format = documentFormat(page.url, page.headers['content-type']);
+                text = format ? extractDocumentText(page.body, format) : extractText(page.body);
+            } catch (error) {
+                console.error(`  ❌ Could not read ${item.url}, judging it by its title:`, error.message);
+            }
+
+            const itemText = `# ${item.title}\n\n${text || ''}`;
+            const classification = classifyDiff(diffSnapshots('', itemText), 'policy', rules);
+            const analysis = text ? await summariser.summarise({ kind: 'policy', sourceName: source.name, text: itemText }) : null;
+
+            if (containsAIContent(itemText) || classification.matched_rules.length || (analysis && analysis.ai_relevant)) {
+                const update = createUpdate(source, document, {
+                    version,
+                    type: 'new-item',
+                    item: { ...item, number: index + 1 },
+                    title: `${source.name} - ${item.title}`,
+                    summary: analysis ? formatSummary(analysis) : item.title,
+                    analysis,
+                    classification
+                });
+                addUpdate(feed, update);
+                store.addToHistory([update]);
+                reported.push(update.id);
+                console.log(`  ✅ Reported new item "${item.title}"`);
+            } else {
+                console.log(`  ℹ️  New item "${item.title}" is not AI-related`);
+            }
+        }
+        return reported;
+    }
+
+    // Downloads the files linked from a page and tracks each as its own document
+    async function checkAttachments(source, attachments) {
+        const downloads = await scheduler.map(attachments, attachment => attachment.url, attachment => {
+            console.log(`  Fetching ${attachment.url}...`);
+            return fetchDocument(attachment.url, { binary: true, conditional: conditionalFor(status, attachment, latestVersion(attachment.id)) });
+        });
+
+        for (const [index, attachment] of attachments.entries()) {
+            try {
+                const { value: response, error } = downloads[index];
+                if (error) throw error;
+
+                if (response.notModified) {
+                    const { contentHash } = status.documents[attachment.id];
+                    recordSuccess(status, source, attachment, { httpStatus: response.status, contentHash, etag: response.etag, lastModified: response.lastModified });
+                    console.log(`  ✓ Not modified since last check for ${source.name} - ${attachment.url}`);
+                    run.record(source, attachment, 'not-modified');
+                    continue;
+                }
+                const format = documentFormat(response.url, response.headers['content-type']) || attachment.format;
+                await trackDocument(source, attachment, extractDocumentText(response.body, format), response);
+            } catch (error) {
+                console.error(`  ❌ Error checking ${source.name} - ${attachment.url}:`, error.message);
+                recordFailure(status, source, attachment, error);
+                run.record(source, attachment, 'error', { error: error.message });
+            }
+        }
+    }
+
+    for (const source of run.sources) {
+        console.log(`Checking ${source.name}...`);
+
+        for (const document of source.documents) {
+            const { url } = document;
+            const known = (status.documents[document.id] || {}).attachments || [];
+            let attachments;
+            try {
+                const { value: response, error } = responses.get(document.id);
+                if (error) throw error;
+
+                if (response.notModified) {
+                    const { contentHash } = status.documents[document.id];
+                    recordSuccess(status, source, document, { httpStatus: response.status, contentHash, etag: response.etag, lastModified: response.lastModified });
+                    console.log(`  ✓ Not modified since last check for ${source.name} - ${url}`);
+                    run.record(source, document, 'not-modified');
+                    // The page is unchanged, so the files it links to are the ones found last time
+                    attachments = known.map(attachment => ({ ...attachment, type: ATTACHMENT_TYPE, parent: document.id }));
+                } else if (document.listing) {
+                    // Index pages are tracked by the items they list; their files are items too
+                    const items = readListing(response.body, document);
+                    await trackDocument(source, document, listingText(items), response, items);
+                    attachments = [];
+                } else {
+                    // Compare readable policy text only, so markup churn isn't a "change"
+                    const content = extractText(response.body, { selector: document.selector });
+                    await trackDocument(source, document, content, response);
+                    attachments = findAttachments(response.body, document, { known });
+                }
+                status.documents[document.id].attachments = attachments.map(({ id, url, title, format }) => ({ id, url, title, format }));
+            } catch (error) {
+                console.error(`  ❌ Error checking ${source.name} - ${url}:`, error.message);
+                recordFailure(status, source, document, error);
+                run.record(source, document, 'error', { error: error.message });
+                // Continue with other sources even if one fails
+                continue;
+            }
+
+            if (attachments.length) {
+                console.log(`  📎 Checking ${attachments.length} linked document(s) for ${source.name}`);
+                await checkAttachments(source, attachments);
+            }
+        }
+    }
+
+    await finishRun(run);
+    console.log('Australian government policy updates check completed.');
+    return run.report;
+}
+
+function containsAIContent(content) {
+    const aiKeywords = [
+        'artificial intelligence', 'machine learning', 'ai technology', 'ai system',
+        'automated decision', 'algorithm', 'ai governance', 'ai strategy',
+        'generative ai', 'large language model', 'chatbot', 'ai tool',
+        'ai ethics', 'ai regulation', 'ai policy', 'ai guideline'
+    ];
+
+    const lowerContent = content.toLowerCase();
+    return aiKeywords.some(keyword => lowerContent.includes(keyword));
+}
+
+module.exports = {
+    KINDS,
+    OUTCOMES,
+    checkPlatforms,
+    checkPolicies
+};
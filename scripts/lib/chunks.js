@@ -0,0 +1,162 @@
+const { isHeading, splitBlocks } = require('./diff');
+
+// Splits normalised documents into pieces that fit the summariser's budget,
+// along heading boundaries where possible:
+//
+//   chunkDocument(text, maxTokens)        [{ index, heading, text, tokens, blocks }]
+//   changedChunks(text, diff, maxTokens)  [{ heading, text, diff }] for each chunk with changes
+//
+// Tokens are estimated at four characters each, which is close enough for the
+// English prose we monitor. A section that fits is never split and small
+// neighbouring sections share a chunk; a section too big for one chunk is split
+// between paragraphs, and a paragraph too big for one chunk between sentences.
+
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_CHUNK_TOKENS = 2000;
+
+function estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+// Cuts text to at most maxChars, at a sentence end if there's one in the second
+// half, otherwise at a space
+function cutPoint(text, maxChars) {
+    if (text.length <= maxChars) return text.length;
+    const window = text.substring(0, maxChars);
+    const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('? '), window.lastIndexOf('! '));
+    if (sentenceEnd > maxChars / 2) return sentenceEnd + 1;
+    const space = window.lastIndexOf(' ');
+    return space > 0 ? space : maxChars;
+}
+
+function splitLongBlock(block, maxChars) {
+    const pieces = [];
+    let rest = block;
+    while (rest) {
+        const cut = cutPoint(rest, maxChars);
+        pieces.push(rest.substring(0, cut).trim());
+        rest = rest.substring(cut).trim();
+    }
+    return pieces;
+}
+
+function sections(blocks) {
+    const result = [];
+    let current = null;
+    for (const block of blocks) {
+        if (!current || isHeading(block)) {
+            current = { heading: isHeading(block) ? block : null, blocks: [] };
+            result.push(current);
+        }
+        current.blocks.push(block);
+    }
+    return result;
+}
+
+function chunkDocument(text, maxTokens = DEFAULT_CHUNK_TOKENS) {
+    const maxChars = maxTokens * CHARS_PER_TOKEN;
+    const chunks = [];
+    let current = null;
+    const start = heading => {
+        current = { heading, blocks: [], length: 0 };
+        chunks.push(current);
+    };
+
+    for (const section of sections(splitBlocks(text))) {
+        const size = section.blocks.reduce((total, block) => total + block.length + 2, 0);
+        if (!current || (current.blocks.length && current.length + size > maxChars)) start(section.heading);
+        for (const block of section.blocks) {
+            for (const piece of splitLongBlock(block, maxChars)) {
+                if (current.blocks.length && current.length + piece.length + 2 > maxChars) start(section.heading);
+                current.blocks.push(piece);
+                current.length += piece.length + 2;
+            }
+        }
+    }
+
+    return chunks.map((chunk, index) => {
+        const chunkText = chunk.blocks.join('\n\n');
+        return { index, heading: chunk.heading, text: chunkText, tokens: estimateTokens(chunkText), blocks: chunk.blocks };
+    });
+}
+
+function clip(text, maxChars) {
+    return text.length > maxChars ? text.substring(0, cutPoint(text, maxChars)).trim() : text;
+}
+
+// Keeps one change within the chunk budget; quotes from the clipped text are
+// still verbatim
+function clipChange(change, maxChars) {
+    if (change.type === 'modified') {
+        return { type: 'modified', before: clip(change.before, maxChars / 2), after: clip(change.after, maxChars / 2) };
+    }
+    return change.type === 'removed'
+        ? { type: 'removed', before: clip(change.before, maxChars) }
+        : { type: 'added', after: clip(change.after, maxChars) };
+}
+
+function changeLength(change) {
+    return (change.before || '').length + (change.after || '').length + 30;
+}
+
+// Groups the diff's changes by the chunk of the new text they fall in, then packs
+// each chunk's changes into diffs of at most maxTokens. Removed passages belong
+// to the chunk of the nearest surviving text around them.
+function changedChunks(text, diff, maxTokens = DEFAULT_CHUNK_TOKENS) {
+    const maxChars = maxTokens * CHARS_PER_TOKEN;
+    const chunks = chunkDocument(text, maxTokens);
+    // A page whose text has gone entirely still has its removals to report
+    if (!chunks.length) chunks.push({ index: 0, heading: null, text: '', tokens: 0, blocks: [] });
+    const chunkOfBlock = new Map();
+    for (const chunk of chunks) {
+        for (const block of chunk.blocks) {
+            if (!chunkOfBlock.has(block)) chunkOfBlock.set(block, chunk.index);
+        }
+    }
+    const locate = block => chunkOfBlock.get(block);
+
+    const changesByChunk = new Map();
+    for (const hunk of diff.hunks) {
+        let anchor = [...(hunk.contextBefore || [])].reverse().concat(hunk.section).map(locate).find(index => index !== undefined) ?? 0;
+        for (const change of hunk.changes) {
+            const index = locate(change.type === 'context' ? change.text : change.after);
+            if (index !== undefined) anchor = index;
+            if (change.type === 'context') continue;
+            if (!changesByChunk.has(anchor)) changesByChunk.set(anchor, []);
+            changesByChunk.get(anchor).push({ section: hunk.section, change: clipChange(change, maxChars) });
+        }
+    }
+
+    const units = [];
+    for (const [index, entries] of [...changesByChunk].sort((a, b) => a[0] - b[0])) {
+        let unit = null;
+        for (const { section, change } of entries) {
+            const size = changeLength(change);
+            if (!unit || unit.size + size > maxChars) {
+                unit = { chunk: chunks[index], hunks: [], size: 0 };
+                units.push(unit);
+            }
+            let hunk = unit.hunks[unit.hunks.length - 1];
+            if (!hunk || hunk.section !== section) {
+                hunk = { section, changes: [] };
+                unit.hunks.push(hunk);
+            }
+            hunk.changes.push(change);
+            unit.size += size;
+        }
+    }
+
+    return units.map(({ chunk, hunks }) => {
+        const stats = { added: 0, removed: 0, modified: 0 };
+        hunks.forEach(hunk => hunk.changes.forEach(change => stats[change.type]++));
+        return { heading: chunk.heading, text: chunk.text, diff: { version: diff.version, stats, hunks } };
+    });
+}
+
+module.exports = {
+    CHARS_PER_TOKEN,
+    DEFAULT_CHUNK_TOKENS,
+    changedChunks,
+    chunkDocument,
+    estimateTokens
+};
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./schema');
+
+// Rule-based risk classification of a diff. Each rule in data/rules.json names
+// the kinds of change it looks at ("on"), regexes that must all match ("all")
+// and of which at least one must match ("any"), and "changedTerms", which must
+// match the words that actually changed in a modified block (so a retention
+// paragraph only fires when its duration moved, not for a typo fix). Rules that
+// only look at added or removed blocks don't need it.
+// Patterns are case-insensitive.
+
+const RULES_PATH = 'data/rules.json';
+const SCHEMA_PATH = path.join(__dirname, '..', '..', 'data', 'schemas', 'rules.schema.json');
+
+const SEVERITIES = ['info', 'low', 'medium', 'high', 'critical'];
+const EXCERPT_RADIUS = 100;
+
+function validateRules(config) {
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+    const problems = validate(schema, config);
+    if (problems.length) return problems;
+
+    const seen = new Set();
+    config.rules.forEach((rule, i) => {
+        if (seen.has(rule.id)) problems.push(`$.rules[${i}].id: duplicate id "${rule.id}"`);
+        seen.add(rule.id);
+
+        if (!rule.all && !rule.any) {
+            problems.push(`$.rules[${i}]: needs "all" or "any" patterns`);
+        }
+        if (rule.on.includes('modified') && !rule.changedTerms) {
+            problems.push(`$.rules[${i}]: inspects modified blocks, so needs "changedTerms"`);
+        }
+        for (const pattern of [...(rule.all || []), ...(rule.any || []), ...(rule.changedTerms ? [rule.changedTerms] : [])]) {
+            try {
+                new RegExp(pattern, 'i');
+            } catch (error) {
+                problems.push(`$.rules[${i}]: invalid pattern ${JSON.stringify(pattern)} (${error.message})`);
+            }
+        }
+    });
+    return problems;
+}
+
+function loadRules(rulesPath = RULES_PATH) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read classification rules ${rulesPath}: ${error.message}`);
+    }
+
+    const problems = validateRules(config);
+    if (problems.length) {
+        const error = new Error(`Invalid classification rules ${rulesPath}:\n  ${problems.join('\n  ')}`);
+        error.problems = problems;
+        throw error;
+    }
+
+    return config.rules.map(rule => ({
+        ...rule,
+        allPatterns: (rule.all || []).map(pattern => new RegExp(pattern, 'i')),
+        anyPatterns: (rule.any || []).map(pattern => new RegExp(pattern, 'i')),
+        changedPattern: rule.changedTerms ? new RegExp(rule.changedTerms, 'i') : null
+    }));
+}
+
+function excerpt(text, index) {
+    const start = Math.max(0, index - EXCERPT_RADIUS);
+    const end = Math.min(text.length, index + EXCERPT_RADIUS);
+    return `${start > 0 ? '...' : ''}${text.slice(start, end).trim()}${end < text.length ? '...' : ''}`;
+}
+
+// Returns the index of the first "any" (or "all") match, or -1 if the text doesn't satisfy the rule
+function matchText(rule, text) {
+    if (!rule.allPatterns.every(pattern => pattern.test(text))) return -1;
+    if (rule.anyPatterns.length) {
+        const hits = rule.anyPatterns.map(pattern => text.search(pattern)).filter(index => index !== -1);
+        return hits.length ? Math.min(...hits) : -1;
+    }
+    return text.search(rule.allPatterns[0]);
+}
+
+// Words only on one side of a modified block, ignoring punctuation moves like "days." -> "days,"
+function changedWords(change) {
+    const wordsOf = type => change.segments
+        .filter(segment => segment.type === type)
+        .flatMap(segment => segment.value.toLowerCase().split(/[^\p{L}\p{N}]+/u))
+        .filter(Boolean);
+    const removed = wordsOf('removed');
+    const added = wordsOf('added');
+    return [
+        ...removed.filter(word => !added.includes(word)),
+        ...added.filter(word => !removed.includes(word))
+    ].join(' ');
+}
+
+function matchChange(rule, change) {
+    const sides = change.type === 'modified'
+        ? [['after', change.after], ['before', change.before]]
+        : [[change.type === 'added' ? 'after' : 'before', change.type === 'added' ? change.after : change.before]];
+
+    for (const [side, text] of sides) {
+        const index = matchText(rule, text);
+        if (index === -1) continue;
+
+        if (rule.changedPattern) {
+            const changed = change.type === 'modified' ? changedWords(change) : text;
+            if (!rule.changedPattern.test(changed)) continue;
+        }
+        return { change: change.type, side, text: excerpt(text, index) };
+    }
+    return null;
+}
+
+function maxSeverity(a, b) {
+    return SEVERITIES.indexOf(a) >= SEVERITIES.indexOf(b) ? a : b;
+}
+
+// { severity, matched_rules: [{ id, title, severity, change, section, text }] }.
+// A first-seen document has no diff and so no findings.
+function classifyDiff(diff, category, rules) {
+    const matched = [];
+    let severity = 'info';
+
+    if (diff) {
+        for (const rule of rules) {
+            if (!rule.categories.includes(category)) continue;
+
+            let found = null;
+            for (const hunk of diff.hunks) {
+                // A hunk can run across a heading, so track the section change by change
+                let section = hunk.section;
+                for (const change of hunk.changes) {
+                    const text = change.type === 'context' ? change.text : change.after;
+                    if (text && /^#{1,6} /.test(text)) section = text;
+
+                    if (!rule.on.includes(change.type)) continue;
+                    found = matchChange(rule, change);
+                    if (found) {
+                        found.section = section ? section.replace(/^#{1,6} /, '') : null;
+                        break;
+                    }
+                }
+                if (found) break;
+            }
+
+            if (found) {
+                matched.push({ id: rule.id, title: rule.title, severity: rule.severity, ...found });
+                severity = maxSeverity(severity, rule.severity);
+            }
+        }
+    }
+
+    matched.sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+    return { severity, matched_rules: matched };
+}
+
+function isActionRequired(severity) {
+    return SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf('high');
+}
+
+module.exports = {
+    RULES_PATH,
+    SEVERITIES,
+    classifyDiff,
+    isActionRequired,
+    loadRules,
+    validateRules
+};
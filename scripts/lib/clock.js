@@ -0,0 +1,26 @@
+// The time the checks stamp on what they write (archive versions, status,
+// updates, baselines). Normally the real clock; setClock() fixes it so a
+// replayed run (see cassette.js) writes the same timestamps every time.
+
+let fixed = null;
+
+function now() {
+    return fixed ? new Date(fixed) : new Date();
+}
+
+// Fixes the clock at a time (a Date or anything Date can parse), or restores
+// the real clock when given null
+function setClock(time) {
+    if (time === null || time === undefined) {
+        fixed = null;
+        return;
+    }
+    const date = new Date(time);
+    if (Number.isNaN(date.getTime())) throw new Error(`Invalid clock time "${time}"`);
+    fixed = date;
+}
+
+module.exports = {
+    now,
+    setClock
+};
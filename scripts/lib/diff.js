@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+
+// Deterministic block-level diff between two normalised snapshots. Blocks are the
+// paragraphs extractText() separates with blank lines; headings ("# ...") start
+// the sections each hunk is reported under.
+
+const DIFF_VERSION = 1;
+const DIFFS_DIR = 'data/diffs';
+
+// Above this many LCS cells the middle of the document is reported as replaced
+const MAX_LCS_CELLS = 25000000;
+const MODIFIED_SIMILARITY = 0.5;
+
+function splitBlocks(text) {
+    return String(text || '')
+        .split(/\n{2,}/)
+        .map(block => block.trim())
+        .filter(Boolean);
+}
+
+function isHeading(block) {
+    return /^#{1,6} /.test(block);
+}
+
+// Longest-common-subsequence diff of two arrays, returned as equal/removed/added ops
+function diffSequences(before, after) {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) {
+        start++;
+    }
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+        endBefore--;
+        endAfter--;
+    }
+
+    const ops = before.slice(0, start).map(value => ({ type: 'equal', value }));
+    const a = before.slice(start, endBefore);
+    const b = after.slice(start, endAfter);
+    const width = b.length + 1;
+
+    if ((a.length + 1) * width > MAX_LCS_CELLS) {
+        a.forEach(value => ops.push({ type: 'removed', value }));
+        b.forEach(value => ops.push({ type: 'added', value }));
+    } else {
+        const table = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                table[i * width + j] = a[i] === b[j]
+                    ? table[(i + 1) * width + j + 1] + 1
+                    : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                ops.push({ type: 'equal', value: a[i++] });
+                j++;
+            } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+                ops.push({ type: 'removed', value: a[i++] });
+            } else {
+                ops.push({ type: 'added', value: b[j++] });
+            }
+        }
+        while (i < a.length) ops.push({ type: 'removed', value: a[i++] });
+        while (j < b.length) ops.push({ type: 'added', value: b[j++] });
+    }
+
+    before.slice(endBefore).forEach(value => ops.push({ type: 'equal', value }));
+    return ops;
+}
+
+function words(text) {
+    return text.split(/(\s+)/).filter(Boolean);
+}
+
+function similarity(before, after) {
+    const a = new Set(before.toLowerCase().split(/\W+/).filter(Boolean));
+    const b = new Set(after.toLowerCase().split(/\W+/).filter(Boolean));
+    if (!a.size && !b.size) return 1;
+    let shared = 0;
+    a.forEach(word => { if (b.has(word)) shared++; });
+    return shared / (a.size + b.size - shared);
+}
+
+// Word-level segments for a modified block, merged into runs for compact storage
+function wordSegments(before, after) {
+    const segments = [];
+    for (const op of diffSequences(words(before), words(after))) {
+        const last = segments[segments.length - 1];
+        if (last && last.type === op.type) {
+            last.value += op.value;
+        } else {
+            segments.push({ type: op.type, value: op.value });
+        }
+    }
+    return segments;
+}
+
+// Pairs up removed and added blocks in one hunk that are edits of each other
+function pairChanges(removed, added) {
+    const changes = [];
+    let next = 0;
+
+    for (const before of removed) {
+        let match = -1;
+        for (let k = next; k < added.length; k++) {
+            if (similarity(before, added[k]) >= MODIFIED_SIMILARITY) {
+                match = k;
+                break;
+            }
+        }
+
+        if (match === -1) {
+            changes.push({ type: 'removed', before });
+            continue;
+        }
+
+        added.slice(next, match).forEach(after => changes.push({ type: 'added', after }));
+        changes.push({ type: 'modified', before, after: added[match], segments: wordSegments(before, added[match]) });
+        next = match + 1;
+    }
+
+    added.slice(next).forEach(after => changes.push({ type: 'added', after }));
+    return changes;
+}
+
+function diffSnapshots(previousText, currentText, options = {}) {
+    const context = options.context ?? 2;
+    const ops = diffSequences(splitBlocks(previousText), splitBlocks(currentText));
+
+    // Find runs of changed ops, then merge runs whose context would overlap
+    const runs = [];
+    ops.forEach((op, index) => {
+        if (op.type === 'equal') return;
+        const last = runs[runs.length - 1];
+        if (last && index - last.end <= context * 2 + 1) {
+            last.end = index;
+        } else {
+            runs.push({ start: index, end: index });
+        }
+    });
+
+    const headings = [];
+    let oldHeading = null;
+    let newHeading = null;
+    for (const op of ops) {
+        headings.push(newHeading || oldHeading);
+        if (isHeading(op.value)) {
+            if (op.type !== 'added') oldHeading = op.value;
+            if (op.type !== 'removed') newHeading = op.value;
+        }
+    }
+
+    const stats = { added: 0, removed: 0, modified: 0 };
+    const hunks = runs.map(run => {
+        const changes = [];
+        let removed = [];
+        let added = [];
+        const flushPending = () => {
+            changes.push(...pairChanges(removed, added));
+            removed = [];
+            added = [];
+        };
+
+        for (let index = run.start; index <= run.end; index++) {
+            const op = ops[index];
+            if (op.type === 'removed') {
+                removed.push(op.value);
+            } else if (op.type === 'added') {
+                added.push(op.value);
+            } else {
+                flushPending();
+                changes.push({ type: 'context', text: op.value });
+            }
+        }
+        flushPending();
+        changes.forEach(change => { if (change.type !== 'context') stats[change.type]++; });
+
+        const firstChanged = ops[run.start];
+        return {
+            section: isHeading(firstChanged.value) && firstChanged.type !== 'removed'
+                ? firstChanged.value
+                : headings[run.start],
+            contextBefore: ops.slice(Math.max(0, run.start - context), run.start).map(op => op.value),
+            changes,
+            contextAfter: ops.slice(run.end + 1, run.end + 1 + context).map(op => op.value)
+        };
+    });
+
+    return { version: DIFF_VERSION, stats, hunks };
+}
+
+function hasChanges(diff) {
+    return diff.hunks.length > 0;
+}
+
+// Renders the changed sections as plain text for the summariser prompt
+function formatDiffForPrompt(diff, maxLength = 12000) {
+    const parts = diff.hunks.map(hunk => {
+        const lines = [`SECTION: ${hunk.section || '(start of document)'}`];
+        for (const change of hunk.changes) {
+            if (change.type === 'removed') lines.push(`REMOVED: ${change.before}`);
+            if (change.type === 'added') lines.push(`ADDED: ${change.after}`);
+            if (change.type === 'modified') lines.push(`CHANGED FROM: ${change.before}\nCHANGED TO: ${change.after}`);
+        }
+        return lines.join('\n');
+    });
+
+    let text = '';
+    for (const part of parts) {
+        if (text.length + part.length > maxLength) {
+            text += '\n\n[...further changes omitted for length]';
+            break;
+        }
+        text += (text ? '\n\n' : '') + part;
+    }
+    return text;
+}
+
+// Plain-text rendering of a diff for the terminal, one line per change
+function formatDiff(diff) {
+    const lines = [];
+    for (const hunk of diff.hunks) {
+        lines.push(`@@ ${hunk.section || '(start of document)'} @@`);
+        hunk.contextBefore.forEach(text => lines.push(`  ${text}`));
+        for (const change of hunk.changes) {
+            if (change.type === 'context') lines.push(`  ${change.text}`);
+            if (change.type === 'removed' || change.type === 'modified') lines.push(`- ${change.before}`);
+            if (change.type === 'added' || change.type === 'modified') lines.push(`+ ${change.after}`);
+        }
+        hunk.contextAfter.forEach(text => lines.push(`  ${text}`));
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+function saveDiff(updateId, diff, meta = {}) {
+    if (!fs.existsSync(DIFFS_DIR)) {
+        fs.mkdirSync(DIFFS_DIR, { recursive: true });
+    }
+    const diffPath = path.posix.join(DIFFS_DIR, `${updateId}.json`);
+    fs.writeFileSync(diffPath, JSON.stringify({ id: updateId, ...meta, ...diff }, null, 2));
+    return diffPath;
+}
+
+module.exports = {
+    diffSnapshots,
+    formatDiff,
+    formatDiffForPrompt,
+    hasChanges,
+    isHeading,
+    saveDiff,
+    splitBlocks
+};
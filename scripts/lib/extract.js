@@ -0,0 +1,639 @@
+const zlib = require('zlib');
+const { normaliseBlocks } = require('./normalise');
+
+// Text extraction for the PDF and Word (.docx) files agencies publish their
+// policies as, in plain JavaScript with only zlib, so no native tools or
+// packages are needed on the runner. Output is in the same form as
+// extractText(): blocks separated by blank lines, headings as "# ".
+//
+// pdfjs-dist and mammoth would read more of what's out there, but the tracker
+// has no dependencies - the workflows run the scripts straight from a checkout,
+// with no install step - and all a check needs is text stable enough to diff.
+// Image-only scans and encrypted files fail with an error on that document
+// rather than producing wrong text. test/fixtures/documents holds files from real PDF and Word
+// writers to keep this honest; add one there when a publisher's file reads badly.
+//
+// PDF: text shown on each page in page order, mapped through the fonts'
+// ToUnicode tables where present, else a simple font's /Differences glyph
+// names over Latin-1. Lines are joined into paragraphs by their spacing, and
+// short paragraphs in a noticeably larger font become headings. Scanned
+// (image-only) and encrypted PDFs have no text we can read, and neither do
+// composite fonts without a ToUnicode table or glyph names we don't know: their
+// bytes are glyph ids, and archiving them as text would turn every regenerated
+// file into a change, so those fail too.
+//
+// DOCX: paragraphs of word/document.xml, with Heading/Title styles as headings
+// and numbered or bulleted paragraphs as "- " items. Deleted tracked changes
+// are left out.
+
+const FORMATS = {
+    pdf: { extension: '.pdf', contentType: 'application/pdf' },
+    docx: { extension: '.docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' }
+};
+
+// Which of FORMATS a URL or response is, or null
+function documentFormat(url, contentType = '') {
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    let pathname = '';
+    try {
+        pathname = new URL(url).pathname.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+    return Object.keys(FORMATS).find(format =>
+        pathname.endsWith(FORMATS[format].extension) || type === FORMATS[format].contentType) || null;
+}
+
+// --- PDF ---
+
+function inflate(data) {
+    try {
+        return zlib.inflateSync(data);
+    } catch (error) {
+        // Tolerate streams with trailing bytes or a missing checksum
+        return zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    }
+}
+
+function streamData(object) {
+    if (!object || !object.stream) return null;
+    const filters = (object.dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/) || [])[1] || '';
+    const names = filters.match(/\/\w+/g) || [];
+    if (names.some(name => name !== '/FlateDecode' && name !== '/Fl')) return null;
+    try {
+        return names.length ? inflate(object.stream) : object.stream;
+    } catch (error) {
+        return null;
+    }
+}
+
+// The raw value of a dictionary key: a nested << >> dictionary, an [ ] array,
+// or the tokens up to the next key
+function dictValue(dict, key) {
+    const match = new RegExp(`/${key}(?![\\w#])\\s*`).exec(dict);
+    if (!match) return null;
+    let index = match.index + match[0].length;
+    if (dict.startsWith('<<', index) || dict[index] === '[') {
+        const [open, close] = dict[index] === '[' ? ['[', ']'] : ['<<', '>>'];
+        let depth = 0;
+        for (let i = index; i < dict.length; i++) {
+            if (dict.startsWith(open, i)) {
+                depth++;
+                i += open.length - 1;
+            } else if (dict.startsWith(close, i)) {
+                depth--;
+                if (depth === 0) return dict.slice(index, i + close.length);
+                i += close.length - 1;
+            }
+        }
+        return dict.slice(index);
+    }
+    const end = dict.slice(index).search(/\/|>>|$/);
+    return dict.slice(index, index + end).trim();
+}
+
+function refsIn(value) {
+    return [...String(value || '').matchAll(/(\d+)\s+\d+\s+R/g)].map(match => Number(match[1]));
+}
+
+function parseObjects(raw) {
+    const objects = new Map();
+    const pattern = /(\d+)\s+\d+\s+obj\b/g;
+    let match;
+    while ((match = pattern.exec(raw)) !== null) {
+        const start = pattern.lastIndex;
+        const end = raw.indexOf('endobj', start);
+        if (end === -1) break;
+        let dict = raw.slice(start, end);
+        let stream = null;
+        const streamMatch = /\bstream\r?\n/.exec(dict);
+        if (streamMatch) {
+            const dataStart = start + streamMatch.index + streamMatch[0].length;
+            const dataEnd = raw.lastIndexOf('endstream', end);
+            stream = Buffer.from(raw.slice(dataStart, dataEnd > dataStart ? dataEnd : end), 'latin1');
+            dict = dict.slice(0, streamMatch.index);
+        }
+        objects.set(Number(match[1]), { dict, stream });
+        pattern.lastIndex = end;
+    }
+
+    // PDF 1.5+ packs small objects (fonts, pages) into compressed object streams
+    for (const object of [...objects.values()]) {
+        if (!/\/Type\s*\/ObjStm/.test(object.dict)) continue;
+        const data = streamData(object);
+        if (!data) continue;
+        const content = data.toString('latin1');
+        const count = Number(dictValue(object.dict, 'N'));
+        const first = Number(dictValue(object.dict, 'First'));
+        const header = content.slice(0, first).trim().split(/\s+/).map(Number);
+        for (let i = 0; i < count; i++) {
+            const number = header[i * 2];
+            const offset = first + header[i * 2 + 1];
+            const next = i + 1 < count ? first + header[i * 2 + 3] : content.length;
+            if (!objects.has(number)) objects.set(number, { dict: content.slice(offset, next), stream: null });
+        }
+    }
+    return objects;
+}
+
+function hexBytes(hex) {
+    const clean = hex.replace(/[^0-9a-f]/gi, '');
+    return Buffer.from(clean.length % 2 ? `${clean}0` : clean, 'hex');
+}
+
+function utf16(hex) {
+    const bytes = hexBytes(hex);
+    let text = '';
+    for (let i = 0; i + 1 < bytes.length; i += 2) text += String.fromCharCode(bytes.readUInt16BE(i));
+    return text;
+}
+
+// ToUnicode CMap: { width, map: code → text }
+function parseCMap(content) {
+    const map = new Map();
+    const range = /begincodespacerange\s*<([0-9a-f]+)>/i.exec(content);
+    const width = range ? Math.max(1, Math.ceil(range[1].length / 2)) : 2;
+
+    for (const section of content.matchAll(/beginbfchar([\s\S]*?)endbfchar/gi)) {
+        for (const pair of section[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f\s]*)>/gi)) {
+            map.set(parseInt(pair[1], 16), utf16(pair[2]));
+        }
+    }
+    for (const section of content.matchAll(/beginbfrange([\s\S]*?)endbfrange/gi)) {
+        for (const entry of section[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f\s]*>|\[[^\]]*\])/gi)) {
+            const low = parseInt(entry[1], 16);
+            const high = parseInt(entry[2], 16);
+            if (high - low > 65535) continue;
+            if (entry[3][0] === '[') {
+                // Hex strings may contain whitespace, as in <0066 0069> for a ligature
+                const targets = [...entry[3].matchAll(/<([0-9a-f\s]*)>/gi)].map(target => utf16(target[1]));
+                targets.forEach((target, offset) => map.set(low + offset, target));
+            } else {
+                const start = hexBytes(entry[3].slice(1, -1));
+                if (start.length < 2) continue;
+                for (let code = low; code <= high; code++) {
+                    const target = Buffer.from(start);
+                    target.writeUInt16BE((target.readUInt16BE(target.length - 2) + code - low) & 0xffff, target.length - 2);
+                    map.set(code, utf16(target.toString('hex')));
+                }
+            }
+        }
+    }
+    return { width, map };
+}
+
+// A value that is an indirect reference resolves to the object's dictionary
+function resolve(objects, value) {
+    const match = /^\s*(\d+)\s+\d+\s+R\s*$/.exec(value || '');
+    return match ? (objects.get(Number(match[1])) || { dict: '' }).dict : value;
+}
+
+// Glyph names (from the Adobe Glyph List) that aren't their own text, as used
+// in /Differences
+const GLYPH_NAMES = {
+    space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+    quotesingle: "'", quoteleft: '\u2018', quoteright: '\u2019', quotedblleft: '\u201C', quotedblright: '\u201D',
+    parenleft: '(', parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-', period: '.', slash: '/',
+    colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>', question: '?', at: '@',
+    bracketleft: '[', backslash: '\\', bracketright: ']', underscore: '_', endash: '\u2013', emdash: '\u2014',
+    bullet: '\u2022', ellipsis: '\u2026', nbspace: ' ', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl',
+    zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+};
+
+// Text for a glyph name, or null if it is one we can't read (such as the
+// made-up names of a font subset)
+function glyphText(name) {
+    if (/^[A-Za-z]$/.test(name)) return name;
+    if (GLYPH_NAMES[name] !== undefined) return GLYPH_NAMES[name];
+    const uni = /^uni((?:[0-9A-F]{4})+)$/.exec(name);
+    if (uni) return utf16(uni[1]);
+    const u = /^u([0-9A-F]{4,6})$/.exec(name);
+    if (u) return String.fromCodePoint(parseInt(u[1], 16));
+    // Variants such as "a.sc" or "one.oldstyle" read as their base glyph
+    const dot = name.indexOf('.');
+    return dot > 0 ? glyphText(name.slice(0, dot)) : null;
+}
+
+// A simple font's byte → text table: Latin-1 with the /Differences applied.
+// Codes given a glyph name we can't read are kept as { unreadable: name }.
+function differencesMap(differences) {
+    const map = new Map(Array.from({ length: 256 }, (_, code) => [code, String.fromCharCode(code)]));
+    let code = 0;
+    for (const [, number, name] of String(differences).matchAll(/(\d+)|\/([^\s/[\]]+)/g)) {
+        if (number !== undefined) {
+            code = Number(number);
+            continue;
+        }
+        const text = glyphText(name);
+        map.set(code++, text === null ? { unreadable: name } : text);
+    }
+    return map;
+}
+
+// How to turn one font's string bytes into text: { width, map } from its
+// ToUnicode CMap or /Differences, null for plain Latin-1, or { error } when
+// its text can't be read
+function fontDecoder(objects, font) {
+    const [toUnicode] = refsIn(dictValue(font.dict, 'ToUnicode'));
+    const data = toUnicode === undefined ? null : streamData(objects.get(toUnicode));
+    if (data) return parseCMap(data.toString('latin1'));
+
+    const name = (/\/BaseFont\s*\/([^\s/<>[\]()]+)/.exec(font.dict) || [])[1] || 'unnamed';
+    if (/\/Subtype\s*\/Type0\b/.test(font.dict)) {
+        return { error: `Font ${name} has no ToUnicode table, so its text can't be read` };
+    }
+    const encoding = resolve(objects, dictValue(font.dict, 'Encoding'));
+    const differences = encoding ? dictValue(encoding, 'Differences') : null;
+    return differences ? { width: 1, map: differencesMap(differences), font: name } : null;
+}
+
+// Font resource name → decoder (see fontDecoder) for one page's resources
+function pageFonts(objects, resources, decoders) {
+    const fonts = new Map();
+    const fontDict = resolve(objects, dictValue(resolve(objects, resources) || '', 'Font') || '');
+    for (const entry of String(fontDict || '').matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+        const number = Number(entry[2]);
+        if (!decoders.has(number)) {
+            const font = objects.get(number);
+            decoders.set(number, font ? fontDecoder(objects, font) : null);
+        }
+        fonts.set(entry[1], decoders.get(number));
+    }
+    return fonts;
+}
+
+// Pages in reading order, following the page tree from the document catalogue
+function pageList(objects, raw) {
+    const pages = [];
+    const seen = new Set();
+    const walk = (number, inherited) => {
+        const node = objects.get(number);
+        if (!node || seen.has(number)) return;
+        seen.add(number);
+        const resources = dictValue(node.dict, 'Resources') || inherited;
+        if (/\/Type\s*\/Pages\b/.test(node.dict)) {
+            refsIn(dictValue(node.dict, 'Kids')).forEach(kid => walk(kid, resources));
+        } else if (/\/Type\s*\/Page\b/.test(node.dict)) {
+            pages.push({ contents: refsIn(dictValue(node.dict, 'Contents')), resources });
+        }
+    };
+
+    const trailers = [...raw.matchAll(/\/Root\s+(\d+)\s+\d+\s+R/g)];
+    const root = trailers.length ? objects.get(Number(trailers[trailers.length - 1][1])) : null;
+    const [tree] = refsIn(root ? dictValue(root.dict, 'Pages') : null);
+    if (tree !== undefined) walk(tree, null);
+
+    // No usable catalogue: fall back to the order the page objects appear in
+    if (!pages.length) {
+        for (const [number, object] of objects) {
+            if (/\/Type\s*\/Page\b/.test(object.dict)) walk(number, null);
+        }
+    }
+    return pages;
+}
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+// Tokens of a content stream: strings come back as byte Buffers
+function contentTokens(content) {
+    const tokens = [];
+    let i = 0;
+    while (i < content.length) {
+        const char = content[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '%') {
+            while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+        } else if (char === '(') {
+            const bytes = [];
+            let depth = 1;
+            i++;
+            while (i < content.length && depth > 0) {
+                const c = content[i];
+                if (c === '\\') {
+                    const next = content[i + 1];
+                    if (/[0-7]/.test(next)) {
+                        const octal = /^[0-7]{1,3}/.exec(content.slice(i + 1, i + 4))[0];
+                        bytes.push(parseInt(octal, 8) & 0xff);
+                        i += 1 + octal.length;
+                        continue;
+                    }
+                    if (next === '\r' || next === '\n') {
+                        i += next === '\r' && content[i + 2] === '\n' ? 3 : 2;
+                        continue;
+                    }
+                    bytes.push((ESCAPES[next] || next || '').charCodeAt(0));
+                    i += 2;
+                    continue;
+                }
+                if (c === '(') depth++;
+                if (c === ')' && --depth === 0) break;
+                bytes.push(c.charCodeAt(0) & 0xff);
+                i++;
+            }
+            tokens.push({ type: 'string', value: Buffer.from(bytes) });
+            i++;
+        } else if (char === '<' && content[i + 1] === '<') {
+            tokens.push({ type: 'op', value: '<<' });
+            i += 2;
+        } else if (char === '>' && content[i + 1] === '>') {
+            tokens.push({ type: 'op', value: '>>' });
+            i += 2;
+        } else if (char === '<') {
+            const end = content.indexOf('>', i);
+            tokens.push({ type: 'string', value: hexBytes(content.slice(i + 1, end === -1 ? content.length : end)) });
+            i = end === -1 ? content.length : end + 1;
+        } else if (char === '[' || char === ']') {
+            tokens.push({ type: char });
+            i++;
+        } else if (char === '/') {
+            const match = /^\/[^\s/<>[\]()%{}]*/.exec(content.slice(i, i + 128));
+            tokens.push({ type: 'name', value: match[0].slice(1) });
+            i += match[0].length;
+        } else if (/[-+.\d]/.test(char)) {
+            const match = /^[-+]?(\d+\.?\d*|\.\d+)/.exec(content.slice(i, i + 32));
+            if (!match) {
+                i++;
+                continue;
+            }
+            tokens.push({ type: 'number', value: Number(match[0]) });
+            i += match[0].length;
+        } else {
+            const match = /^[^\s/<>[\]()%{}]+/.exec(content.slice(i, i + 32));
+            const op = match ? match[0] : char;
+            i += op.length;
+            // Inline image data is binary; skip to its end marker
+            if (op === 'ID') {
+                const end = content.indexOf('EI', i);
+                i = end === -1 ? content.length : end + 2;
+                continue;
+            }
+            tokens.push({ type: 'op', value: op });
+        }
+    }
+    return tokens;
+}
+
+function decodeString(bytes, decoder) {
+    if (!decoder) {
+        return bytes.toString('latin1');
+    }
+    if (decoder.error) throw new Error(decoder.error);
+    let text = '';
+    for (let i = 0; i + decoder.width <= bytes.length; i += decoder.width) {
+        const code = decoder.width === 1 ? bytes[i] : bytes.readUIntBE(i, decoder.width);
+        const glyph = decoder.map.has(code) ? decoder.map.get(code) : '';
+        if (glyph.unreadable) throw new Error(`Font ${decoder.font} names a glyph "${glyph.unreadable}" with no known text`);
+        text += glyph;
+    }
+    return text;
+}
+
+// Lines of text on one page as { text, y, size }
+function pageLines(content, fonts) {
+    const lines = [];
+    let line = null;
+    let stack = [];
+    let array = null;
+    let decoder = null;
+    let fontSize = 0;
+    let scale = 1;
+    let y = 0;
+    let leading = 0;
+
+    const moveTo = nextY => {
+        if (line && Math.abs(nextY - line.y) > 0.5) line = null;
+        y = nextY;
+    };
+    const show = bytes => {
+        const text = decodeString(bytes, decoder);
+        if (!line) {
+            line = { text: '', y, size: Math.abs(fontSize * scale) };
+            lines.push(line);
+        }
+        line.text += text;
+        line.size = Math.max(line.size, Math.abs(fontSize * scale));
+    };
+
+    for (const token of contentTokens(content)) {
+        if (token.type === '[') {
+            array = [];
+            continue;
+        }
+        if (token.type === ']') {
+            stack.push({ type: 'array', value: array || [] });
+            array = null;
+            continue;
+        }
+        if (token.type !== 'op') {
+            (array || stack).push(token);
+            continue;
+        }
+
+        const operands = stack;
+        stack = [];
+        const number = index => (operands[index] && operands[index].type === 'number' ? operands[index].value : 0);
+
+        switch (token.value) {
+            case 'BT':
+                scale = 1;
+                break;
+            case 'Tf':
+                decoder = operands[0] && operands[0].type === 'name' ? fonts.get(operands[0].value) || null : null;
+                fontSize = number(1);
+                break;
+            case 'Tm':
+                scale = Math.abs(number(3)) || 1;
+                moveTo(number(5));
+                break;
+            case 'TD':
+                leading = -number(1);
+                moveTo(y + number(1) * scale);
+                break;
+            case 'Td':
+                moveTo(y + number(1) * scale);
+                if (!number(1) && number(0) > 0 && line) line.text += ' ';
+                break;
+            case 'TL':
+                leading = number(0);
+                break;
+            case 'T*':
+                moveTo(y - leading * scale);
+                break;
+            case "'":
+                moveTo(y - leading * scale);
+                if (operands[0] && operands[0].type === 'string') show(operands[0].value);
+                break;
+            case '"':
+                moveTo(y - leading * scale);
+                if (operands[2] && operands[2].type === 'string') show(operands[2].value);
+                break;
+            case 'Tj':
+                if (operands[0] && operands[0].type === 'string') show(operands[0].value);
+                break;
+            case 'TJ':
+                for (const item of (operands[0] && operands[0].value) || []) {
+                    if (item.type === 'string') show(item.value);
+                    // A big enough negative adjustment is a gap between words
+                    else if (item.type === 'number' && item.value < -200 && line && !/\s$/.test(line.text)) line.text += ' ';
+                }
+                break;
+        }
+    }
+    return lines.filter(entry => entry.text.trim());
+}
+
+function percentile(values, fraction) {
+    const sorted = values.filter(value => value > 0).sort((a, b) => a - b);
+    return sorted.length ? sorted[Math.floor(sorted.length * fraction)] : 0;
+}
+
+// Joins lines into paragraphs where the gap between them is no bigger than the
+// usual line spacing, and marks short paragraphs in a larger font as headings.
+// Most gaps between lines of the same size are plain line spacing, so a low
+// percentile of them is the spacing within a paragraph. Spacing is measured in
+// font sizes, so a heading that wraps stays one heading.
+function linesToBlocks(pages) {
+    const spacings = pages.flatMap(lines => lines.slice(1)
+        .filter((entry, index) => Math.abs(lines[index].size - entry.size) <= 0.5 && entry.size > 0)
+        .map(entry => Math.abs(lines[lines.indexOf(entry) - 1].y - entry.y) / entry.size));
+    const lineSpacing = percentile(spacings, 0.25);
+    const bodySize = percentile(pages.flat().map(entry => entry.size), 0.5);
+    const paragraphs = [];
+
+    for (const lines of pages) {
+        let current = null;
+        lines.forEach((entry, index) => {
+            const gap = index ? Math.abs(lines[index - 1].y - entry.y) : Infinity;
+            const sizeChanged = current && Math.abs(current.size - entry.size) > 0.5;
+            if (!current || gap > lineSpacing * entry.size * 1.3 + 0.5 || sizeChanged) {
+                current = { text: '', size: entry.size };
+                paragraphs.push(current);
+            }
+            const text = entry.text.trim();
+            current.text = /[a-z]-$/.test(current.text) && /^[a-z]/.test(text)
+                ? current.text.slice(0, -1) + text
+                : `${current.text} ${text}`.trim();
+        });
+    }
+
+    return paragraphs.map(paragraph => {
+        const heading = bodySize && paragraph.size >= bodySize * 1.2 && paragraph.text.length < 200;
+        return heading ? `# ${paragraph.text}` : paragraph.text;
+    });
+}
+
+function extractPdfText(buffer) {
+    const raw = buffer.toString('latin1');
+    if (!raw.startsWith('%PDF-')) throw new Error('Not a PDF file');
+    if (/\/Encrypt\s+\d+\s+\d+\s+R|\/Encrypt\s*<</.test(raw)) throw new Error('Encrypted PDFs are not supported');
+
+    const objects = parseObjects(raw);
+    const decoders = new Map();
+    const pages = pageList(objects, raw).map(page => {
+        const fonts = pageFonts(objects, page.resources, decoders);
+        const content = page.contents
+            .map(number => streamData(objects.get(number)))
+            .filter(Boolean)
+            .map(data => data.toString('latin1'))
+            .join('\n');
+        return pageLines(content, fonts);
+    });
+
+    const text = normaliseBlocks(linesToBlocks(pages));
+    if (!text.trim()) throw new Error('No text found in PDF (it may be a scanned image)');
+    return text;
+}
+
+// --- DOCX ---
+
+// Entries of a zip archive as name → () => Buffer
+function readZip(buffer) {
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) throw new Error('Not a zip archive');
+
+    const entries = new Map();
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt zip directory');
+        const method = buffer.readUInt16LE(offset + 10);
+        const size = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const local = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        entries.set(name, () => {
+            const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+            const data = buffer.subarray(start, start + size);
+            if (method === 0) return data;
+            if (method === 8) return zlib.inflateRawSync(data);
+            throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            return String.fromCodePoint(code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+        }
+        return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[code.toLowerCase()];
+    });
+}
+
+function extractDocxText(buffer) {
+    const entries = readZip(buffer);
+    const document = entries.get('word/document.xml');
+    if (!document) throw new Error('Not a Word document (no word/document.xml)');
+    const xml = document().toString('utf8');
+
+    const blocks = [];
+    for (const paragraph of xml.matchAll(/<w:p[ >][\s\S]*?<\/w:p>|<w:p\/>/g)) {
+        const body = paragraph[0].replace(/<w:del\b[\s\S]*?<\/w:del>/g, '');
+        const text = decodeXml(
+            [...body.matchAll(/<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:(tab|br|cr)\b[^>]*\/>/g)]
+                .map(match => (match[2] ? ' ' : match[1]))
+                .join('')
+        );
+        if (!text.trim()) continue;
+
+        const style = (/<w:pStyle w:val="([^"]*)"/.exec(body) || [])[1] || '';
+        const level = /^title$/i.test(style) ? 1 : Number((/^heading\s*(\d)$/i.exec(style) || [])[1]) || 0;
+        if (level) {
+            blocks.push(`${'#'.repeat(Math.min(level, 6))} ${text}`);
+        } else if (/<w:numPr>/.test(body) || /^list/i.test(style)) {
+            blocks.push(`- ${text}`);
+        } else {
+            blocks.push(text);
+        }
+    }
+
+    const text = normaliseBlocks(blocks);
+    if (!text.trim()) throw new Error('No text found in Word document');
+    return text;
+}
+
+function extractDocumentText(buffer, format) {
+    if (format === 'pdf') return extractPdfText(buffer);
+    if (format === 'docx') return extractDocxText(buffer);
+    throw new Error(`Unsupported document format "${format}"`);
+}
+
+module.exports = {
+    FORMATS,
+    documentFormat,
+    extractDocumentText,
+    extractDocxText,
+    extractPdfText
+};
@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./schema');
+const { SEVERITIES } = require('./classify');
+
+// Atom and JSON Feed output built from the update history, so change alerts
+// can be followed in a feed reader or pulled into the intranet:
+//
+//   data/feeds/all.xml, all.json                    every update
+//   data/feeds/sources/<source-id>.xml, .json       one platform or agency
+//   data/feeds/severity/<severity>.xml, .json       that severity and above
+//
+// Entry ids are tag: URIs built from the update id, so they never change
+// between builds. Entries link to the update's detail view on the dashboard.
+
+const FEEDS_DIR = 'data/feeds';
+const JSON_FEED_SCHEMA_PATH = path.join(__dirname, '..', '..', 'data', 'schemas', 'jsonfeed.schema.json');
+const DEFAULT_SITE_URL = 'https://thomas-amann-ipaustralia.github.io/ai-steward-tracker/';
+const TAG_AUTHORITY = 'tag:thomas-amann-ipaustralia.github.io,2025:ai-steward-tracker';
+const FEED_LIMIT = 50;
+
+const SEVERITY_TITLES = { low: 'Low', medium: 'Medium', high: 'High', critical: 'Critical' };
+
+function loadFeedConfig(env = process.env) {
+    const siteUrl = env.SITE_URL || DEFAULT_SITE_URL;
+    return {
+        siteUrl: siteUrl.endsWith('/') ? siteUrl : `${siteUrl}/`,
+        limit: Number(env.FEED_LIMIT) || FEED_LIMIT
+    };
+}
+
+function detailUrl(siteUrl, update) {
+    return `${siteUrl}#update-${update.id}`;
+}
+
+// Which feeds to build: [{ key, title, description, filter }]
+function feedDefinitions(registry) {
+    const severityFeeds = SEVERITIES.filter(severity => SEVERITY_TITLES[severity]).map(severity => ({
+        key: `severity/${severity}`,
+        title: severity === 'critical' ? 'Critical updates' : `${SEVERITY_TITLES[severity]} severity updates and above`,
+        description: `Changes rated ${severity}${severity === 'critical' ? '' : ' or higher'} by the classification rules.`,
+        filter: update => SEVERITIES.indexOf(update.severity) >= SEVERITIES.indexOf(severity)
+    }));
+
+    return [
+        {
+            key: 'all',
+            title: 'All updates',
+            description: 'Changes to AI platform terms and Australian government AI policy.',
+            filter: () => true
+        },
+        ...registry.sources.map(source => ({
+            key: `sources/${source.id}`,
+            title: source.name,
+            description: `Changes to documents monitored for ${source.name}.`,
+            filter: update => update.source_id === source.id
+        })),
+        ...severityFeeds
+    ];
+}
+
+// Feed-neutral model of one feed, shared by the Atom and JSON Feed writers
+function buildFeed(definition, updates, config, lastChange) {
+    const entries = updates
+        .filter(definition.filter)
+        .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp))
+        .slice(0, config.limit);
+
+    return {
+        id: `${TAG_AUTHORITY}/feed/${definition.key}`,
+        title: `AI Steward Tracker - ${definition.title}`,
+        description: definition.description,
+        homeUrl: config.siteUrl,
+        atomUrl: `${config.siteUrl}${FEEDS_DIR}/${definition.key}.xml`,
+        jsonUrl: `${config.siteUrl}${FEEDS_DIR}/${definition.key}.json`,
+        // Derived from the data rather than the clock, so an unchanged feed rebuilds byte for byte
+        updated: entries.length ? entries[0].timestamp : lastChange,
+        entries: entries.map(update => ({
+            id: `${TAG_AUTHORITY}/update/${update.id}`,
+            title: update.title,
+            summary: update.summary,
+            updated: update.timestamp,
+            link: detailUrl(config.siteUrl, update),
+            documentUrl: update.url,
+            tags: [update.category, update.source_id, update.document_type, `severity:${update.severity}`]
+        }))
+    };
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderAtom(feed) {
+    const lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <id>${escapeXml(feed.id)}</id>`,
+        `  <title>${escapeXml(feed.title)}</title>`,
+        `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+        `  <updated>${feed.updated}</updated>`,
+        `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.atomUrl)}"/>`,
+        `  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>`,
+        '  <author><name>AI Steward team</name></author>',
+        '  <generator>AI Steward Tracker</generator>'
+    ];
+    for (const entry of feed.entries) {
+        lines.push(
+            '  <entry>',
+            `    <id>${escapeXml(entry.id)}</id>`,
+            `    <title>${escapeXml(entry.title)}</title>`,
+            `    <updated>${entry.updated}</updated>`,
+            `    <link rel="alternate" type="text/html" href="${escapeXml(entry.link)}"/>`,
+            `    <link rel="related" href="${escapeXml(entry.documentUrl)}"/>`,
+            ...entry.tags.map(tag => `    <category term="${escapeXml(tag)}"/>`),
+            `    <summary type="text">${escapeXml(entry.summary)}</summary>`,
+            '  </entry>'
+        );
+    }
+    lines.push('</feed>', '');
+    return lines.join('\n');
+}
+
+function renderJsonFeed(feed) {
+    return {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.homeUrl,
+        feed_url: feed.jsonUrl,
+        description: feed.description,
+        authors: [{ name: 'AI Steward team' }],
+        language: 'en-AU',
+        items: feed.entries.map(entry => ({
+            id: entry.id,
+            url: entry.link,
+            external_url: entry.documentUrl,
+            title: entry.title,
+            content_text: entry.summary,
+            summary: entry.summary,
+            date_published: entry.updated,
+            tags: entry.tags
+        }))
+    };
+}
+
+// Structural checks on a built Atom document: well-formed nesting and the
+// elements RFC 4287 requires on the feed and on every entry
+function validateAtom(xml) {
+    const problems = [];
+    const stack = [];
+    const tagPattern = /<(\/?)([a-zA-Z][\w:-]*)[^>]*?(\/?)>/g;
+    let match;
+    let entries = 0;
+    const required = { feed: new Set(), entry: new Set() };
+
+    const body = xml.replace(/^<\?xml[^>]*\?>\s*/, '');
+    while ((match = tagPattern.exec(body))) {
+        const [, closing, name, selfClosing] = match;
+        if (closing) {
+            if (stack.pop() !== name) problems.push(`unexpected </${name}>`);
+            if (name === 'entry') {
+                ['id', 'title', 'updated'].forEach(child => {
+                    if (!required.entry.has(child)) problems.push(`entry ${entries}: missing <${child}>`);
+                });
+                required.entry = new Set();
+            }
+            continue;
+        }
+        const parent = stack[stack.length - 1];
+        if (parent === 'feed' || parent === 'entry') required[parent].add(name);
+        if (name === 'entry') entries++;
+        if (!selfClosing) stack.push(name);
+    }
+
+    if (stack.length) problems.push(`unclosed <${stack.join('>, <')}>`);
+    ['id', 'title', 'updated'].forEach(child => {
+        if (!required.feed.has(child)) problems.push(`feed: missing <${child}>`);
+    });
+    if (/&(?!(amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)/.test(body)) problems.push('unescaped "&"');
+    return problems;
+}
+
+function validateJsonFeed(feed) {
+    const schema = JSON.parse(fs.readFileSync(JSON_FEED_SCHEMA_PATH, 'utf8'));
+    const problems = validate(schema, feed);
+    const seen = new Set();
+    feed.items.forEach((item, i) => {
+        if (seen.has(item.id)) problems.push(`$.items[${i}].id: duplicate id "${item.id}"`);
+        seen.add(item.id);
+    });
+    return problems;
+}
+
+// Builds and validates every feed; returns [{ file, content }] without writing
+function buildFeeds(updates, registry, config = loadFeedConfig()) {
+    const lastChange = updates.reduce((latest, update) => update.timestamp > latest ? update.timestamp : latest, '1970-01-01T00:00:00.000Z');
+    const files = [];
+    for (const definition of feedDefinitions(registry)) {
+        const feed = buildFeed(definition, updates, config, lastChange);
+        const atom = renderAtom(feed);
+        const json = renderJsonFeed(feed);
+
+        const problems = [
+            ...validateAtom(atom).map(problem => `${definition.key}.xml: ${problem}`),
+            ...validateJsonFeed(json).map(problem => `${definition.key}.json: ${problem}`)
+        ];
+        if (problems.length) {
+            const error = new Error(`Generated feeds are invalid:\n  ${problems.join('\n  ')}`);
+            error.problems = problems;
+            throw error;
+        }
+
+        files.push({ file: path.posix.join(FEEDS_DIR, `${definition.key}.xml`), content: atom });
+        files.push({ file: path.posix.join(FEEDS_DIR, `${definition.key}.json`), content: `${JSON.stringify(json, null, 2)}\n` });
+    }
+    return files;
+}
+
+// Replaces the whole feeds directory, so feeds for removed sources go away
+function writeFeeds(files) {
+    fs.rmSync(FEEDS_DIR, { recursive: true, force: true });
+    for (const { file, content } of files) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, content);
+    }
+}
+
+module.exports = {
+    FEEDS_DIR,
+    buildFeeds,
+    detailUrl,
+    loadFeedConfig,
+    renderAtom,
+    renderJsonFeed,
+    validateAtom,
+    validateJsonFeed,
+    writeFeeds
+};
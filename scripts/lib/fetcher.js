@@ -0,0 +1,214 @@
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { cassetteMode, throughCassette } = require('./cassette');
+const clock = require('./clock');
+
+// Shared HTTP fetcher for both checkers: follows redirect chains, retries
+// transient failures with jittered backoff (honouring Retry-After), decompresses
+// gzip/deflate/brotli, caps response size and supports conditional GETs.
+// Works with http: URLs too, so it can be exercised against a local server.
+// Every request goes through the active cassette, if any (see cassette.js).
+
+// Our robots.txt product token, also embedded in the User-Agent
+const PRODUCT_TOKEN = 'AI-Steward-Tracker';
+
+const DEFAULTS = {
+    timeout: 30000,
+    maxRedirects: 5,
+    retries: 3,
+    retryBaseDelay: 1000,
+    maxRetryDelay: 30000,
+    maxBytes: 10 * 1024 * 1024,
+    headers: {
+        'User-Agent': `Mozilla/5.0 (compatible; ${PRODUCT_TOKEN}/1.0; +https://github.com/Thomas-Amann-IPAustralia/ai-steward-tracker)`,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'en-AU,en;q=0.5',
+        'Accept-Encoding': 'gzip, deflate, br'
+    }
+};
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const RETRYABLE_ERROR_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ESOCKETTIMEDOUT']);
+
+// Replayed responses arrive instantly, so there is nothing to wait for
+function sleep(ms) {
+    if (cassetteMode() === 'replay') return Promise.resolve();
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+function httpError(status, url) {
+    const error = new Error(`HTTP ${status} for ${url}`);
+    error.statusCode = status;
+    error.url = url;
+    return error;
+}
+
+// Retry-After is either delay-seconds or an HTTP date, which is measured
+// against the run's clock (see clock.js)
+function parseRetryAfter(value, now = clock.now().getTime()) {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function backoffDelay(attempt, settings) {
+    const ceiling = Math.min(settings.maxRetryDelay, settings.retryBaseDelay * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function decoderFor(encoding) {
+    switch ((encoding || '').trim().toLowerCase()) {
+        case 'gzip':
+        case 'x-gzip':
+            return zlib.createGunzip();
+        case 'deflate':
+            return zlib.createInflate();
+        case 'br':
+            return zlib.createBrotliDecompress();
+        default:
+            return null;
+    }
+}
+
+function decodeBody(buffer, contentType) {
+    const charset = /charset=["']?([\w-]+)/i.exec(contentType || '');
+    try {
+        return new TextDecoder(charset ? charset[1] : 'utf-8').decode(buffer);
+    } catch (error) {
+        return new TextDecoder('utf-8').decode(buffer);
+    }
+}
+
+// One request, no redirects or retries. Bodies are only read (and decompressed)
+// for 2xx responses.
+function requestRaw(url, settings, extraHeaders) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('http:') ? http : https;
+        const req = client.get(url, { headers: { ...settings.headers, ...extraHeaders } }, (res) => {
+            const { statusCode: status, headers } = res;
+
+            if (status < 200 || status >= 300) {
+                res.resume();
+                resolve({ status, headers, body: null });
+                return;
+            }
+
+            const decoder = decoderFor(headers['content-encoding']);
+            const stream = decoder ? res.pipe(decoder) : res;
+            const chunks = [];
+            let size = 0;
+
+            stream.on('data', chunk => {
+                size += chunk.length;
+                if (size > settings.maxBytes) {
+                    req.destroy();
+                    stream.destroy();
+                    reject(new Error(`Response from ${url} exceeds ${settings.maxBytes} bytes`));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            stream.on('end', () => resolve({ status, headers, body: Buffer.concat(chunks) }));
+            stream.on('error', error => reject(new Error(`Could not decode response from ${url}: ${error.message}`)));
+        });
+
+        req.setTimeout(settings.timeout, () => {
+            const error = new Error(`Timeout after ${settings.timeout}ms for ${url}`);
+            error.code = 'ETIMEDOUT';
+            req.destroy(error);
+        });
+        req.on('error', error => {
+            error.url = url;
+            reject(error);
+        });
+    });
+}
+
+async function requestOnce(url, settings, extraHeaders) {
+    const conditional = { etag: extraHeaders['If-None-Match'], lastModified: extraHeaders['If-Modified-Since'] };
+    const response = await throughCassette({ url, conditional }, () => requestRaw(url, settings, extraHeaders));
+    if (response.body === null || settings.binary) return response;
+    return { ...response, body: decodeBody(response.body, response.headers['content-type']) };
+}
+
+async function followRedirects(url, settings, extraHeaders) {
+    const visited = [url];
+    let current = url;
+
+    for (;;) {
+        const response = await requestOnce(current, settings, extraHeaders);
+        if (!REDIRECT_STATUSES.has(response.status)) {
+            return { ...response, url: current, redirects: visited.slice(1) };
+        }
+
+        if (!response.headers.location) {
+            throw httpError(response.status, current);
+        }
+        const next = new URL(response.headers.location, current).toString();
+        if (visited.includes(next)) {
+            throw new Error(`Redirect loop for ${url}: ${visited.concat(next).join(' -> ')}`);
+        }
+        if (visited.length > settings.maxRedirects) {
+            throw new Error(`Too many redirects (>${settings.maxRedirects}) for ${url}`);
+        }
+        visited.push(next);
+        current = next;
+    }
+}
+
+// Resolves with { url, status, headers, body, notModified, etag, lastModified, redirects }.
+// Pass options.conditional = { etag, lastModified } from the previous response to
+// get notModified: true (and no body) when the server reports no change.
+// With options.binary the body is the raw Buffer rather than decoded text.
+async function fetchDocument(url, options = {}) {
+    const settings = { ...DEFAULTS, ...options, headers: { ...DEFAULTS.headers, ...options.headers } };
+    const conditional = options.conditional || {};
+    const extraHeaders = {};
+    if (conditional.etag) extraHeaders['If-None-Match'] = conditional.etag;
+    if (conditional.lastModified) extraHeaders['If-Modified-Since'] = conditional.lastModified;
+
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await followRedirects(url, settings, extraHeaders);
+        } catch (error) {
+            const retryable = RETRYABLE_ERROR_CODES.has(error.code) || /socket hang up/i.test(error.message);
+            if (!retryable || attempt >= settings.retries) throw error;
+            await sleep(backoffDelay(attempt, settings));
+            continue;
+        }
+
+        if (isRetryableStatus(response.status) && attempt < settings.retries) {
+            const retryAfter = parseRetryAfter(response.headers['retry-after']);
+            const delay = retryAfter === null ? backoffDelay(attempt, settings) : Math.min(retryAfter, settings.maxRetryDelay);
+            await sleep(delay);
+            continue;
+        }
+
+        if (response.status === 304) {
+            return { ...response, notModified: true, etag: conditional.etag || null, lastModified: conditional.lastModified || null };
+        }
+        if (response.status < 200 || response.status >= 300) {
+            throw httpError(response.status, response.url);
+        }
+
+        return {
+            ...response,
+            notModified: false,
+            etag: response.headers.etag || null,
+            lastModified: response.headers['last-modified'] || null
+        };
+    }
+}
+
+module.exports = {
+    PRODUCT_TOKEN,
+    fetchDocument,
+    parseRetryAfter
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { validateUpdate } = require('./updates');
+
+// Every update ever recorded, one file per month so the dashboard can page
+// back through history without downloading all of it:
+//
+//   data/history/index.json     { schema_version, months: [{ month, file, count, from, to }] }
+//   data/history/2025-07.json   { schema_version, month, updates: [ newest first ] }
+//
+// Months in the index are newest first. data/updates.json stays a short recent
+// window; nothing is ever trimmed from here.
+
+const HISTORY_DIR = 'data/history';
+const SCHEMA_VERSION = 2;
+
+function shardPath(month, root = HISTORY_DIR) {
+    return path.posix.join(root, `${month}.json`);
+}
+
+function monthOf(update) {
+    return update.timestamp.slice(0, 7);
+}
+
+function loadHistoryIndex(root = HISTORY_DIR) {
+    const file = path.join(root, 'index.json');
+    if (!fs.existsSync(file)) return { schema_version: SCHEMA_VERSION, months: [] };
+    const index = JSON.parse(fs.readFileSync(file, 'utf8'));
+    // Only ever the time of the last write, which made every run rewrite the file
+    delete index.updatedAt;
+    return index;
+}
+
+function readShard(month, root = HISTORY_DIR) {
+    const file = shardPath(month, root);
+    if (!fs.existsSync(file)) return { schema_version: SCHEMA_VERSION, month, updates: [] };
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Every update in the history, newest first
+function readHistory(root = HISTORY_DIR) {
+    return loadHistoryIndex(root).months.flatMap(({ month }) => readShard(month, root).updates);
+}
+
+// Adds updates to their monthly shards (replacing any with the same id) and
+// rewrites the index
+function addToHistory(updates, root = HISTORY_DIR) {
+    const byMonth = new Map();
+    for (const update of updates) {
+        const problems = validateUpdate(update);
+        if (problems.length) {
+            throw new Error(`Refusing to archive invalid update ${update.id}:\n  ${problems.join('\n  ')}`);
+        }
+        if (!byMonth.has(monthOf(update))) byMonth.set(monthOf(update), []);
+        byMonth.get(monthOf(update)).push(update);
+    }
+    if (!byMonth.size) return;
+
+    fs.mkdirSync(root, { recursive: true });
+    const index = loadHistoryIndex(root);
+
+    for (const [month, added] of byMonth) {
+        const shard = readShard(month, root);
+        const ids = new Set(added.map(update => update.id));
+        shard.updates = [...added, ...shard.updates.filter(update => !ids.has(update.id))]
+            .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+        fs.writeFileSync(shardPath(month, root), JSON.stringify(shard, null, 2));
+
+        const entry = {
+            month,
+            file: shardPath(month, root),
+            count: shard.updates.length,
+            from: shard.updates[shard.updates.length - 1].timestamp,
+            to: shard.updates[0].timestamp
+        };
+        index.months = [entry, ...index.months.filter(existing => existing.month !== month)];
+    }
+
+    index.months.sort((a, b) => b.month.localeCompare(a.month));
+    fs.writeFileSync(path.join(root, 'index.json'), JSON.stringify(index, null, 2));
+}
+
+// Takes updates out of the history, dropping any month left empty
+function removeFromHistory(ids, root = HISTORY_DIR) {
+    const remove = new Set(ids);
+    const index = loadHistoryIndex(root);
+    let removed = 0;
+
+    for (const entry of index.months) {
+        const shard = readShard(entry.month, root);
+        const kept = shard.updates.filter(update => !remove.has(update.id));
+        if (kept.length === shard.updates.length) continue;
+        removed += shard.updates.length - kept.length;
+
+        if (!kept.length) {
+            fs.unlinkSync(shardPath(entry.month, root));
+            entry.count = 0;
+            continue;
+        }
+        shard.updates = kept;
+        fs.writeFileSync(shardPath(entry.month, root), JSON.stringify(shard, null, 2));
+        Object.assign(entry, { count: kept.length, from: kept[kept.length - 1].timestamp, to: kept[0].timestamp });
+    }
+    if (!removed) return 0;
+
+    index.months = index.months.filter(entry => entry.count > 0);
+    fs.writeFileSync(path.join(root, 'index.json'), JSON.stringify(index, null, 2));
+    return removed;
+}
+
+module.exports = {
+    HISTORY_DIR,
+    addToHistory,
+    loadHistoryIndex,
+    readHistory,
+    readShard,
+    removeFromHistory
+};
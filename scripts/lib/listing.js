@@ -0,0 +1,78 @@
+const { extractListing } = require('./normalise');
+
+// News, publications and consultations index pages are tracked as the list of
+// items they link to, not as page text, when their registry document has a
+// "listing" ({ item, title?, link?, date? } selectors). What gets archived is
+// one line per item:
+//
+//   - 2026-03-03 National AI plan <https://www.industry.gov.au/news/national-ai-plan>
+//
+// so the archive and diffs read as "what was listed", and the items new since
+// the previous version are the ones whose link it didn't have. The checker
+// reports each new, AI-related item as its own update. MAX_NEW_ITEMS_PER_LISTING
+// (default 10) caps how many are followed in one run, since a page redesign can
+// make every item look new.
+
+const DEFAULT_NEW_ITEM_LIMIT = 10;
+
+function newItemLimit() {
+    const limit = Number(process.env.MAX_NEW_ITEMS_PER_LISTING);
+    return process.env.MAX_NEW_ITEMS_PER_LISTING && Number.isInteger(limit) && limit >= 0 ? limit : DEFAULT_NEW_ITEM_LIMIT;
+}
+
+// Items on a fetched index page as { title, url, date }, links resolved
+// against the page and each listed once. A page with no usable items is an
+// error, like a selector that matches nothing: an empty archived listing would
+// read as page text and quietly re-baseline on the next run.
+function readListing(html, document) {
+    const items = [];
+    const urls = new Set();
+    for (const entry of extractListing(html, document.listing)) {
+        let url;
+        try {
+            url = new URL(entry.href, document.url);
+        } catch (error) {
+            continue;
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') continue;
+        url.hash = '';
+        url = url.toString();
+        if (urls.has(url)) continue;
+        urls.add(url);
+        items.push({ title: entry.title, url, date: entry.date });
+    }
+    if (!items.length) throw new Error(`Listing items "${document.listing.item}" have no http(s) links`);
+    return items;
+}
+
+// The archived text for a list of items. Resolved URLs never contain "<" or
+// ">", so they can be read back; they are kept out of date normalisation.
+function listingText(items) {
+    return items.map(item => `- ${item.date ? `${item.date} ` : ''}${item.title} <${item.url}>`).join('\n\n') + '\n';
+}
+
+function listedUrls(text) {
+    return new Set([...String(text || '').matchAll(/<(https?:\/\/[^\s<>]+)>$/gm)].map(match => match[1]));
+}
+
+// Whether an archived version is a listing at all. A document that gains a
+// "listing" after it was baselined still has page text as its latest version,
+// and none of its items should count as new against that.
+function isListingText(text) {
+    const lines = String(text || '').split('\n').filter(line => line.trim());
+    return lines.length > 0 && lines.every(line => /^- .*<https?:\/\/[^\s<>]+>$/.test(line));
+}
+
+// Items whose link was not in the previously archived listing
+function newItems(items, previousText) {
+    const known = listedUrls(previousText);
+    return items.filter(item => !known.has(item.url));
+}
+
+module.exports = {
+    isListingText,
+    listingText,
+    newItemLimit,
+    newItems,
+    readListing
+};
@@ -0,0 +1,383 @@
+const crypto = require('crypto');
+
+// Turns a fetched HTML page into the readable policy text we snapshot, hash and
+// summarise. Anything that changes between requests without the policy itself
+// changing (scripts, nonces, nav, cookie banners, footers) is dropped here.
+
+// Elements whose whole subtree is never policy text
+const SKIP_TAGS = new Set([
+    'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object',
+    'nav', 'header', 'footer', 'aside', 'form', 'button', 'select', 'dialog'
+]);
+
+// Elements whose raw contents must not be parsed as markup
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title']);
+// Where each raw-text element ends, searched from the opening tag (case-insensitive,
+// without lowercasing the page for every one of them)
+const RAW_TEXT_ENDS = Object.fromEntries([...RAW_TEXT_TAGS].map(name => [name, new RegExp(`</${name}`, 'gi')]));
+
+const VOID_TAGS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta',
+    'param', 'source', 'track', 'wbr'
+]);
+
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'figcaption',
+    'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'li', 'main', 'ol', 'p',
+    'pre', 'section', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+]);
+
+const SKIP_ROLES = /^(navigation|banner|contentinfo|search|dialog|alertdialog)$/i;
+const BANNER_ATTR = /(^|[\s_-])(cookie|consent)[_-]?(banner|notice|bar|popup|modal|dialog|overlay)|onetrust|cookiebot|skip-link|breadcrumb/i;
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    ndash: '-', mdash: '-', lsquo: "'", rsquo: "'", ldquo: '"', rdquo: '"',
+    hellip: '...', copy: '©', reg: '®', trade: '™', middot: '·', bull: '•'
+};
+
+const MONTHS = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'
+];
+const MONTH_PATTERN = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)';
+
+function tokenize(html) {
+    const tokens = [];
+    const tagPattern = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = tagPattern.exec(html)) !== null) {
+        if (match.index > lastIndex) {
+            tokens.push({ type: 'text', value: html.slice(lastIndex, match.index) });
+        }
+        lastIndex = tagPattern.lastIndex;
+
+        // Comments, doctypes and processing instructions carry no text
+        if (!match[2]) continue;
+
+        const name = match[2].toLowerCase();
+        if (match[1]) {
+            tokens.push({ type: 'close', name });
+            continue;
+        }
+
+        const attrs = match[3] || '';
+        tokens.push({ type: 'open', name, attrs, selfClosing: /\/\s*$/.test(attrs) });
+
+        if (RAW_TEXT_TAGS.has(name)) {
+            const closePattern = RAW_TEXT_ENDS[name];
+            closePattern.lastIndex = lastIndex;
+            const close = closePattern.exec(html);
+            const end = close ? close.index : html.length;
+            if (name === 'textarea' || name === 'title') {
+                tokens.push({ type: 'text', value: html.slice(lastIndex, end) });
+            }
+            lastIndex = end;
+            tagPattern.lastIndex = end;
+        }
+    }
+
+    if (lastIndex < html.length) {
+        tokens.push({ type: 'text', value: html.slice(lastIndex) });
+    }
+    return tokens;
+}
+
+function getAttr(attrs, name) {
+    const match = attrs.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i'));
+    if (!match) {
+        return new RegExp(`(?:^|\\s)${name}(?:\\s|$|/)`, 'i').test(attrs) ? '' : null;
+    }
+    return match[1] ?? match[2] ?? match[3];
+}
+
+function isSkipped(token) {
+    if (SKIP_TAGS.has(token.name) || token.name === 'title') return true;
+
+    const { attrs } = token;
+    if (!attrs) return false;
+
+    const role = getAttr(attrs, 'role');
+    if (role && SKIP_ROLES.test(role)) return true;
+    if (getAttr(attrs, 'hidden') !== null) return true;
+    if (getAttr(attrs, 'aria-hidden') === 'true') return true;
+
+    const id = getAttr(attrs, 'id') || '';
+    const className = getAttr(attrs, 'class') || '';
+    return BANNER_ATTR.test(id) || BANNER_ATTR.test(className);
+}
+
+function isMainRoot(token) {
+    return token.name === 'main' || getAttr(token.attrs, 'role') === 'main';
+}
+
+// Compiles a single compound selector (tag, #id, .class, [attr], [attr=value])
+// into a predicate over open-tag tokens
+function compileSelector(selector) {
+    const parts = selector.match(/^[a-zA-Z0-9]+|[#.][a-zA-Z0-9_-]+|\[[a-zA-Z-]+(?:=[^\]]+)?\]/g) || [];
+    if (parts.join('') !== selector) {
+        throw new Error(`Unsupported content selector "${selector}"`);
+    }
+
+    const tests = parts.filter(Boolean).map(part => {
+        if (part[0] === '#') return token => getAttr(token.attrs, 'id') === part.slice(1);
+        if (part[0] === '.') {
+            return token => (getAttr(token.attrs, 'class') || '').split(/\s+/).includes(part.slice(1));
+        }
+        if (part[0] === '[') {
+            const [name, expected] = part.slice(1, -1).split('=');
+            const value = expected === undefined ? undefined : expected.replace(/^["']|["']$/g, '');
+            return token => {
+                const actual = getAttr(token.attrs, name);
+                return value === undefined ? actual !== null : actual === value;
+            };
+        }
+        return token => token.name === part.toLowerCase();
+    });
+
+    return token => tests.every(test => test(token));
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const point = code[1] === 'x' || code[1] === 'X'
+                ? parseInt(code.slice(2), 16)
+                : parseInt(code.slice(1), 10);
+            try {
+                return String.fromCodePoint(point);
+            } catch (error) {
+                return entity;
+            }
+        }
+        const named = NAMED_ENTITIES[code.toLowerCase()];
+        return named !== undefined ? named : entity;
+    });
+}
+
+function cleanInline(text) {
+    return text
+        .replace(/[\u200B-\u200D\uFEFF]/g, '')
+        .replace(/[\u2018\u2019]/g, "'")
+        .replace(/[\u201C\u201D]/g, '"')
+        .replace(/[\u2013\u2014]/g, '-')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function monthNumber(name) {
+    const lower = name.toLowerCase();
+    const index = MONTHS.findIndex(month => month.startsWith(lower.slice(0, 3)));
+    return String(index + 1).padStart(2, '0');
+}
+
+function isoDate(year, month, day) {
+    return `${year}-${month}-${String(day).padStart(2, '0')}`;
+}
+
+// Rewrites the many ways a page can print the same date into ISO form, and drops
+// the time of day from timestamps, so re-rendering a date is not a policy change
+function normaliseDates(text) {
+    return text
+        .replace(/\b(\d{4}-\d{2}-\d{2})T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?/g, '$1')
+        .replace(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_PATTERN}\\.?,?\\s+(\\d{4})\\b`, 'gi'),
+            (match, day, month, year) => isoDate(year, monthNumber(month), day))
+        .replace(new RegExp(`\\b${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'gi'),
+            (match, month, day, year) => isoDate(year, monthNumber(month), day))
+        .replace(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g,
+            (match, day, month, year) => isoDate(year, month.padStart(2, '0'), day));
+}
+
+// Walks the readable part of a page once, collecting its text blocks and the
+// links inside them
+function readPage(html, options = {}) {
+    const tokens = tokenize(String(html || ''));
+    const opens = tokens.filter(token => token.type === 'open');
+
+    // A configured selector wins; otherwise prefer the page's main landmark,
+    // then any articles, then the whole body
+    let isRoot = null;
+    if (options.selector) {
+        isRoot = compileSelector(options.selector);
+        if (!opens.some(isRoot)) {
+            throw new Error(`Content selector "${options.selector}" matched nothing`);
+        }
+    } else if (opens.some(isMainRoot)) {
+        isRoot = isMainRoot;
+    } else if (opens.some(token => token.name === 'article')) {
+        isRoot = token => token.name === 'article';
+    }
+
+    const stack = [];
+    let skipDepth = 0;
+    let rootDepth = 0;
+    const blocks = [];
+    const links = [];
+    let buffer = '';
+    let prefix = '';
+    let link = null;
+
+    const flush = () => {
+        const text = cleanInline(decodeEntities(buffer));
+        if (text) blocks.push(prefix + text);
+        buffer = '';
+        prefix = '';
+    };
+
+    for (const token of tokens) {
+        if (token.type === 'text') {
+            if (skipDepth === 0 && (!isRoot || rootDepth > 0)) {
+                buffer += token.value;
+                if (link) link.text += token.value;
+            }
+            continue;
+        }
+
+        if (token.type === 'open') {
+            if (BLOCK_TAGS.has(token.name)) flush();
+
+            if (VOID_TAGS.has(token.name) || token.selfClosing) continue;
+
+            const entry = {
+                name: token.name,
+                skip: isSkipped(token),
+                root: Boolean(isRoot && isRoot(token))
+            };
+            stack.push(entry);
+            if (entry.skip) skipDepth++;
+            if (entry.root) rootDepth++;
+
+            const href = token.name === 'a' ? getAttr(token.attrs, 'href') : null;
+            if (href && skipDepth === 0 && (!isRoot || rootDepth > 0)) {
+                link = { href: decodeEntities(href).trim(), text: '' };
+            }
+
+            if (/^h[1-6]$/.test(token.name)) {
+                prefix = '#'.repeat(Number(token.name[1])) + ' ';
+            } else if (token.name === 'li') {
+                prefix = '- ';
+            }
+            continue;
+        }
+
+        // Close tags pop back to their opener, tolerating unclosed <p>, <li> and friends
+        const openIndex = stack.map(entry => entry.name).lastIndexOf(token.name);
+        if (openIndex === -1) continue;
+
+        while (stack.length > openIndex) {
+            const entry = stack.pop();
+            if (entry.skip) skipDepth--;
+            if (entry.root) rootDepth--;
+        }
+        if (token.name === 'a' && link) {
+            links.push({ href: link.href, text: cleanInline(decodeEntities(link.text)) });
+            link = null;
+        }
+        if (BLOCK_TAGS.has(token.name)) flush();
+    }
+    flush();
+
+    return { blocks, links };
+}
+
+function normaliseBlocks(blocks) {
+    return normaliseDates(blocks.map(cleanInline).filter(Boolean).join('\n\n')) + '\n';
+}
+
+function extractText(html, options = {}) {
+    return normaliseBlocks(readPage(html, options).blocks);
+}
+
+// Links in the same part of the page extractText reads, as { href, text } with
+// href exactly as written (resolve it against the page URL)
+function extractLinks(html, options = {}) {
+    return readPage(html, options).links;
+}
+
+// Entries of a news or publications index page as { title, href, date }, href
+// as written and date as YYYY-MM-DD where one could be read. listing.item
+// selects each entry; within it listing.title, listing.link and listing.date
+// default to the first heading, the first link and the first <time>.
+function extractListing(html, listing) {
+    const isItem = compileSelector(listing.item);
+    const isTitle = listing.title ? compileSelector(listing.title) : token => /^h[1-6]$/.test(token.name);
+    const isLink = listing.link ? compileSelector(listing.link) : token => token.name === 'a';
+    const isDate = listing.date ? compileSelector(listing.date) : token => token.name === 'time';
+
+    const items = [];
+    const stack = [];
+    let item = null;
+    let matched = false;
+
+    for (const token of tokenize(String(html || ''))) {
+        if (token.type === 'text') {
+            if (!item) continue;
+            for (const entry of stack) {
+                for (const field of entry.fields) item.text[field] += token.value;
+            }
+            continue;
+        }
+
+        if (token.type === 'open') {
+            const entry = { name: token.name, item: false, fields: [] };
+            if (!item && isItem(token)) {
+                matched = true;
+                entry.item = true;
+                item = { href: null, date: null, text: { title: '', link: '', date: '' }, done: new Set() };
+            } else if (item) {
+                const capturing = field => stack.some(open => open.fields.includes(field));
+                if (!item.done.has('title') && !capturing('title') && isTitle(token)) entry.fields.push('title');
+                const href = getAttr(token.attrs, 'href');
+                if (item.href === null && href && isLink(token)) {
+                    item.href = decodeEntities(href).trim();
+                    entry.fields.push('link');
+                }
+                if (item.date === null && !item.done.has('date') && !capturing('date') && isDate(token)) {
+                    const datetime = getAttr(token.attrs, 'datetime');
+                    if (datetime) item.date = datetime;
+                    else entry.fields.push('date');
+                }
+            }
+            if (VOID_TAGS.has(token.name) || token.selfClosing) continue;
+            stack.push(entry);
+            continue;
+        }
+
+        const openIndex = stack.map(entry => entry.name).lastIndexOf(token.name);
+        if (openIndex === -1) continue;
+        while (stack.length > openIndex) {
+            const entry = stack.pop();
+            entry.fields.forEach(field => item && item.done.add(field));
+            if (entry.item && item) {
+                items.push(item);
+                item = null;
+            }
+        }
+    }
+    if (item) items.push(item);
+    if (!matched) throw new Error(`Listing item selector "${listing.item}" matched nothing`);
+
+    return items.map(entry => {
+        const date = normaliseDates(cleanInline(decodeEntities(entry.date || entry.text.date))).match(/\d{4}-\d{2}-\d{2}/);
+        return {
+            title: cleanInline(decodeEntities(entry.text.title)) || cleanInline(decodeEntities(entry.text.link)),
+            href: entry.href,
+            date: date ? date[0] : null
+        };
+    }).filter(entry => entry.title && entry.href);
+}
+
+function hashContent(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+module.exports = {
+    extractLinks,
+    extractListing,
+    extractText,
+    hashContent,
+    normaliseBlocks,
+    normaliseDates
+};
@@ -0,0 +1,381 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { validate } = require('./schema');
+const { SEVERITIES } = require('./classify');
+const { detailUrl, loadFeedConfig } = require('./feeds');
+const { sendMail } = require('./smtp');
+const { readHistory } = require('./history');
+const { loadSources } = require('./sources');
+const clock = require('./clock');
+
+// Sends new updates to people instead of waiting for them to open the dashboard.
+//
+// data/notifications.json names the channels (SMTP email, Microsoft Teams and
+// Slack incoming webhooks, generic JSON webhooks) and the subscriptions that
+// route updates to them. A subscription filters by source, category and minimum
+// severity and either sends each update as it appears ("immediate") or one
+// digest per "daily" / "weekly" period.
+//
+// Secrets stay out of the repo: any channel string can be written as "${NAME}"
+// and is read from the environment. A channel whose variables aren't set is
+// skipped, and its subscriptions don't start until it is configured.
+//
+// data/notification-log.json records, per subscription, when it started, when
+// its last digest went out and every update id sent with the time it was sent.
+// An update is only ever sent once per subscription, across runs; anything that
+// fails to send is retried on the next run.
+//
+// NOTIFICATIONS_CONFIG points at a different settings file, e.g. one aimed at
+// the local sink in scripts/mock_notification_sink.js.
+
+const NOTIFICATIONS_PATH = 'data/notifications.json';
+const NOTIFICATION_LOG_PATH = 'data/notification-log.json';
+const SCHEMA_PATH = path.join(__dirname, '..', '..', 'data', 'schemas', 'notifications.schema.json');
+
+const DIGEST_PERIODS = { daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+const DIGEST_LIMIT = 25;
+const WEBHOOK_TIMEOUT = 15000;
+
+const SEVERITY_LABELS = { info: 'Info', low: 'Low', medium: 'Medium', high: 'High', critical: 'Critical' };
+
+function validateNotificationConfig(config, registry) {
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+    const problems = validate(schema, config);
+    if (problems.length) return problems;
+
+    const sourceIds = new Set(registry ? registry.sources.map(source => source.id) : []);
+    const seen = new Set();
+    config.subscriptions.forEach((subscription, i) => {
+        if (seen.has(subscription.id)) problems.push(`$.subscriptions[${i}].id: duplicate id "${subscription.id}"`);
+        seen.add(subscription.id);
+        if (!config.channels[subscription.channel]) {
+            problems.push(`$.subscriptions[${i}].channel: unknown channel "${subscription.channel}"`);
+        }
+        for (const sourceId of registry ? subscription.sources || [] : []) {
+            if (!sourceIds.has(sourceId)) problems.push(`$.subscriptions[${i}].sources: unknown source "${sourceId}"`);
+        }
+    });
+    return problems;
+}
+
+function loadNotificationConfig(registry, configPath = process.env.NOTIFICATIONS_CONFIG || NOTIFICATIONS_PATH) {
+    if (!fs.existsSync(configPath)) return { version: 1, channels: {}, subscriptions: [] };
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read notification settings ${configPath}: ${error.message}`);
+    }
+
+    const problems = validateNotificationConfig(config, registry);
+    if (problems.length) {
+        const error = new Error(`Invalid notification settings ${configPath}:\n  ${problems.join('\n  ')}`);
+        error.problems = problems;
+        throw error;
+    }
+    return config;
+}
+
+function loadNotificationLog(logPath = NOTIFICATION_LOG_PATH) {
+    if (!fs.existsSync(logPath)) return { version: 1, subscriptions: {} };
+    return JSON.parse(fs.readFileSync(logPath, 'utf8'));
+}
+
+function saveNotificationLog(log, logPath = NOTIFICATION_LOG_PATH) {
+    fs.writeFileSync(logPath, JSON.stringify(log, null, 2));
+}
+
+// Substitutes "${NAME}" from the environment. Returns { settings } or
+// { missing: [names] } when a variable isn't set.
+function resolveChannel(channel, env = process.env) {
+    const missing = [];
+    const substitute = value => {
+        if (typeof value !== 'string') return value;
+        return value.replace(/\$\{([A-Z0-9_]+)\}/g, (match, name) => {
+            if (env[name] === undefined || env[name] === '') missing.push(name);
+            return env[name] || '';
+        });
+    };
+
+    const settings = {};
+    for (const [key, value] of Object.entries(channel)) {
+        settings[key] = Array.isArray(value) ? value.map(substitute) : substitute(value);
+    }
+    return missing.length ? { missing } : { settings };
+}
+
+function matchesSubscription(subscription, update) {
+    if (subscription.sources && subscription.sources.length && !subscription.sources.includes(update.source_id)) return false;
+    if (subscription.categories && subscription.categories.length && !subscription.categories.includes(update.category)) return false;
+    return SEVERITIES.indexOf(update.severity) >= SEVERITIES.indexOf(subscription.minSeverity || 'info');
+}
+
+function formatTime(value) {
+    return new Date(value).toLocaleString('en-AU', { timeZone: 'Australia/Sydney', dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function describeUpdate(update, siteUrl) {
+    const lines = [
+        update.title,
+        `${SEVERITY_LABELS[update.severity]} severity · ${update.source_name} · ${formatTime(update.timestamp)}`,
+        '',
+        update.summary
+    ];
+    if (update.matched_rules.length) {
+        lines.push('', 'Why it was flagged:');
+        update.matched_rules.forEach(rule => lines.push(`- ${rule.title}${rule.section ? ` (in "${rule.section}")` : ''}`));
+    }
+    if (update.action_required) lines.push('', '⚠️ Action may be required');
+    lines.push('', `View the changes: ${detailUrl(siteUrl, update)}`, `Source document: ${update.url}`);
+    return lines.join('\n');
+}
+
+// A channel-neutral message: { subject, text, updates, digest }
+function buildNotification(subscription, updates, siteUrl) {
+    if (subscription.mode === 'immediate') {
+        const [update] = updates;
+        return {
+            subject: `[AI Steward] ${SEVERITY_LABELS[update.severity]} severity: ${update.title}`,
+            text: describeUpdate(update, siteUrl),
+            updates,
+            digest: false
+        };
+    }
+
+    const period = subscription.mode === 'daily' ? 'Daily' : 'Weekly';
+    const shown = updates.slice(-DIGEST_LIMIT).reverse();
+    const text = [
+        `${updates.length} update${updates.length === 1 ? '' : 's'} since the last digest.`,
+        ...shown.map(update => `\n---\n\n${describeUpdate(update, siteUrl)}`),
+        updates.length > shown.length ? `\n---\n\n...and ${updates.length - shown.length} older update(s) on the dashboard: ${siteUrl}` : ''
+    ].join('\n');
+    return {
+        subject: `[AI Steward] ${period} digest: ${updates.length} update${updates.length === 1 ? '' : 's'}`,
+        text,
+        updates,
+        digest: true
+    };
+}
+
+function postJson(url, body, headers = {}, timeout = WEBHOOK_TIMEOUT) {
+    return new Promise((resolve, reject) => {
+        const payload = JSON.stringify(body);
+        const client = url.startsWith('http:') ? http : https;
+        const req = client.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(payload),
+                ...headers
+            }
+        }, (res) => {
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => {
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    reject(new Error(`HTTP ${res.statusCode} from webhook: ${data.substring(0, 200)}`));
+                    return;
+                }
+                resolve(data);
+            });
+        });
+
+        req.setTimeout(timeout, () => {
+            req.destroy(new Error(`Webhook timed out after ${timeout}ms`));
+        });
+        req.on('error', reject);
+        req.write(payload);
+        req.end();
+    });
+}
+
+function teamsCard(message, siteUrl) {
+    const body = [{ type: 'TextBlock', text: message.subject.replace(/^\[AI Steward\] /, ''), weight: 'Bolder', size: 'Medium', wrap: true }];
+    for (const update of message.updates.slice(-DIGEST_LIMIT).reverse()) {
+        body.push(
+            { type: 'TextBlock', text: `[${update.title}](${detailUrl(siteUrl, update)})`, weight: 'Bolder', wrap: true, separator: message.digest },
+            {
+                type: 'FactSet',
+                facts: [
+                    { title: 'Severity', value: SEVERITY_LABELS[update.severity] },
+                    { title: 'Source', value: update.source_name },
+                    { title: 'Detected', value: formatTime(update.timestamp) }
+                ]
+            },
+            { type: 'TextBlock', text: update.summary, wrap: true }
+        );
+    }
+    return {
+        type: 'message',
+        attachments: [{
+            contentType: 'application/vnd.microsoft.card.adaptive',
+            contentUrl: null,
+            content: {
+                $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                type: 'AdaptiveCard',
+                version: '1.4',
+                body,
+                actions: [{
+                    type: 'Action.OpenUrl',
+                    title: message.digest ? 'Open the dashboard' : 'View the changes',
+                    url: message.digest ? siteUrl : detailUrl(siteUrl, message.updates[0])
+                }]
+            }
+        }]
+    };
+}
+
+const TRANSPORTS = {
+    smtp(settings, message) {
+        return sendMail({
+            host: settings.host,
+            port: settings.port ? Number(settings.port) : undefined,
+            secure: settings.secure,
+            startTls: settings.startTls,
+            user: settings.user,
+            password: settings.password
+        }, { from: settings.from, to: settings.to, subject: message.subject, text: message.text });
+    },
+
+    teams(settings, message, siteUrl) {
+        return postJson(settings.url, teamsCard(message, siteUrl));
+    },
+
+    slack(settings, message) {
+        return postJson(settings.url, { text: `*${message.subject}*\n\n${message.text}` });
+    },
+
+    // { event, subscription, updates: [update + detail_url] }, signed with
+    // X-AI-Steward-Signature: sha256=<HMAC of the body> when a secret is set
+    webhook(settings, message, siteUrl, subscription) {
+        const body = {
+            event: message.digest ? 'digest' : 'update',
+            subscription: subscription.id,
+            subject: message.subject,
+            updates: message.updates.map(update => ({ ...update, detail_url: detailUrl(siteUrl, update) }))
+        };
+        const headers = {};
+        if (settings.secret) {
+            headers['X-AI-Steward-Signature'] = `sha256=${crypto.createHmac('sha256', settings.secret).update(JSON.stringify(body)).digest('hex')}`;
+        }
+        return postJson(settings.url, body, headers);
+    }
+};
+
+// Sends whatever each subscription is due. Returns [{ subscription, sent, skipped, error }].
+async function dispatchNotifications({
+    config,
+    updates,
+    log = loadNotificationLog(),
+    since = clock.now(),
+    now = clock.now(),
+    env = process.env,
+    transports = TRANSPORTS,
+    siteUrl = loadFeedConfig(env).siteUrl,
+    dryRun = false,
+    saveLog = saveNotificationLog
+}) {
+    const results = [];
+    const chronological = [...updates].sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+    for (const subscription of config.subscriptions) {
+        const channel = config.channels[subscription.channel];
+        const { settings, missing } = resolveChannel(channel, env);
+        if (missing) {
+            results.push({ subscription: subscription.id, sent: 0, skipped: `channel "${subscription.channel}" needs ${missing.join(', ')}` });
+            continue;
+        }
+
+        if (!log.subscriptions[subscription.id]) {
+            log.subscriptions[subscription.id] = { since: since.toISOString(), lastDigest: null, sent: {} };
+        }
+        const state = log.subscriptions[subscription.id];
+        const pending = chronological.filter(update => update.timestamp >= state.since
+            && !state.sent[update.id]
+            && matchesSubscription(subscription, update));
+
+        const batches = [];
+        if (subscription.mode === 'immediate') {
+            pending.forEach(update => batches.push([update]));
+        } else {
+            const due = now - Date.parse(state.lastDigest || state.since) >= DIGEST_PERIODS[subscription.mode];
+            if (!due) {
+                results.push({ subscription: subscription.id, sent: 0, skipped: `next ${subscription.mode} digest not due yet (${pending.length} waiting)` });
+                continue;
+            }
+            if (pending.length) batches.push(pending);
+        }
+
+        const result = { subscription: subscription.id, sent: 0 };
+        for (const batch of batches) {
+            const message = buildNotification(subscription, batch, siteUrl);
+            if (dryRun) {
+                result.sent += batch.length;
+                result.preview = (result.preview || []).concat(message.subject);
+                continue;
+            }
+            try {
+                await transports[channel.type](settings, message, siteUrl, subscription);
+            } catch (error) {
+                // Stop here so updates go out in order once the channel recovers
+                result.error = error.message;
+                break;
+            }
+            batch.forEach(update => state.sent[update.id] = now.toISOString());
+            result.sent += batch.length;
+            saveLog(log);
+        }
+
+        if (subscription.mode !== 'immediate' && !result.error && !dryRun) {
+            state.lastDigest = now.toISOString();
+            saveLog(log);
+        }
+        results.push(result);
+    }
+
+    if (!dryRun) saveLog(log);
+    return results;
+}
+
+// Dispatches from the update history and reports on the console. The checkers
+// call this after saving their updates, passing when their run started so a
+// brand-new subscription picks up that run's updates but nothing older.
+async function runNotifications({ since = clock.now(), dryRun = false } = {}) {
+    const config = loadNotificationConfig(loadSources());
+    if (!config.subscriptions.length) return [];
+
+    console.log(`${dryRun ? 'Previewing' : 'Sending'} notifications...`);
+    const results = await dispatchNotifications({ config, updates: readHistory(), since, dryRun });
+    for (const result of results) {
+        if (result.skipped) {
+            console.log(`  ℹ️  ${result.subscription}: skipped, ${result.skipped}`);
+        } else if (result.error) {
+            console.error(`  ❌ ${result.subscription}: sent ${result.sent} before failing: ${result.error}`);
+        } else if (dryRun) {
+            (result.preview || []).forEach(subject => console.log(`  📢 ${result.subscription}: would send "${subject}"`));
+            if (!result.sent) console.log(`  ✓ ${result.subscription}: nothing to send`);
+        } else {
+            console.log(`  ✓ ${result.subscription}: ${result.sent ? `sent ${result.sent} update(s)` : 'nothing to send'}`);
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    NOTIFICATIONS_PATH,
+    NOTIFICATION_LOG_PATH,
+    TRANSPORTS,
+    buildNotification,
+    dispatchNotifications,
+    loadNotificationConfig,
+    loadNotificationLog,
+    matchesSubscription,
+    resolveChannel,
+    runNotifications,
+    saveNotificationLog,
+    validateNotificationConfig
+};
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./schema');
+const { now } = require('./clock');
+
+// The first time a document is seen there is nothing to compare it with, so
+// instead of an update we record a baseline: a plain-language overview of the
+// whole document, kept on its source's profile page.
+//
+//   data/profiles/<source-id>.json
+//       { source_id, source_name, category, updated_at,
+//         documents: [{ document_id, document_type, url, title?, version, captured_at, summary, analysis }] }
+//
+// title is set for files linked from a monitored page (see attachments.js),
+// which are not in the registry.
+//
+// Schema: data/schemas/profile.schema.json. Later changes are ordinary updates.
+
+const PROFILES_DIR = 'data/profiles';
+const SCHEMA_PATH = path.join(__dirname, '..', '..', 'data', 'schemas', 'profile.schema.json');
+
+function profilePath(sourceId, root = PROFILES_DIR) {
+    return path.join(root, `${sourceId}.json`);
+}
+
+function validateProfile(profile) {
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+    return validate(schema, profile);
+}
+
+function loadProfile(sourceId, root = PROFILES_DIR) {
+    const file = profilePath(sourceId, root);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Records the baseline for one document (replacing any earlier one) and saves
+// the source's profile
+function saveBaseline(source, document, { version, summary, analysis, capturedAt = now() }, root = PROFILES_DIR) {
+    const existing = loadProfile(source.id, root);
+    const baseline = {
+        document_id: document.id,
+        document_type: document.type,
+        url: document.url,
+        ...(document.title ? { title: document.title } : {}),
+        version,
+        captured_at: capturedAt.toISOString(),
+        summary,
+        analysis
+    };
+    const profile = {
+        source_id: source.id,
+        source_name: source.name,
+        category: source.category,
+        updated_at: baseline.captured_at,
+        documents: [...(existing ? existing.documents : []).filter(other => other.document_id !== document.id), baseline]
+            .sort((a, b) => a.document_id.localeCompare(b.document_id))
+    };
+
+    const problems = validateProfile(profile);
+    if (problems.length) {
+        throw new Error(`Refusing to save invalid profile for ${source.id}:\n  ${problems.join('\n  ')}`);
+    }
+
+    fs.mkdirSync(root, { recursive: true });
+    fs.writeFileSync(profilePath(source.id, root), JSON.stringify(profile, null, 2));
+    return profile;
+}
+
+module.exports = {
+    PROFILES_DIR,
+    loadProfile,
+    saveBaseline,
+    validateProfile
+};
@@ -0,0 +1,379 @@
+const fs = require('fs');
+const path = require('path');
+const { SEVERITIES } = require('./classify');
+const { RESOLVED_STATES, reviewStateOf } = require('./reviews');
+const { detailUrl } = require('./feeds');
+const { now } = require('./clock');
+
+// The governance committee's "AI platform and policy changes" paper, built
+// from the update history for a month, a quarter or any date range:
+//
+//   reports/ai-changes-2025-07.html    self-contained, with a print stylesheet
+//   reports/ai-changes-2025-07.md      the same report as Markdown
+//   reports/ai-changes-2025-07.csv     one row per update, for spreadsheets
+//
+// Updates are grouped by platform and by agency, with severity counts for the
+// period. Open action items are every update up to the end of the period that
+// needs action and has not been actioned or marked not relevant - including
+// ones from earlier periods that are still open. Dates are UTC calendar days,
+// as in the history shards.
+
+const REPORTS_DIR = 'reports';
+const FORMATS = ['html', 'md', 'csv'];
+
+const CATEGORY_TITLES = { platform: 'AI platforms', policy: 'Australian government agencies' };
+const SEVERITY_LABELS = { info: 'Info', low: 'Low', medium: 'Medium', high: 'High', critical: 'Critical' };
+// Most severe first, as the committee reads them
+const SEVERITY_ORDER = SEVERITIES.slice().reverse();
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function isDate(value) {
+    return DATE.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+}
+
+function formatDay(value) {
+    return new Date(`${value.slice(0, 10)}T00:00:00Z`).toLocaleDateString('en-AU', { timeZone: 'UTC', day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function lastDayOf(year, month) {
+    return new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+}
+
+// A period from "2025-07" (a month), "2025-Q3" (a quarter) or explicit
+// from/to dates: { key, label, from, to }. With nothing given, the previous
+// calendar month.
+function resolvePeriod(spec, { from, to } = {}) {
+    if (from || to) {
+        if (spec) throw new Error('Give either a month or quarter, or --from and --to');
+        if (!isDate(from || '') || !isDate(to || '')) throw new Error('--from and --to must both be dates (YYYY-MM-DD)');
+        if (from > to) throw new Error(`--from ${from} is after --to ${to}`);
+        return { key: `${from}-to-${to}`, label: `${formatDay(from)} to ${formatDay(to)}`, from, to };
+    }
+
+    if (!spec) {
+        const today = now();
+        const previous = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - 1, 1));
+        spec = previous.toISOString().slice(0, 7);
+    }
+
+    let match = /^(\d{4})-(\d{2})$/.exec(spec);
+    if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+        const [year, month] = [Number(match[1]), Number(match[2])];
+        const label = new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-AU', { timeZone: 'UTC', month: 'long', year: 'numeric' });
+        return { key: spec, label, from: `${spec}-01`, to: lastDayOf(year, month) };
+    }
+
+    match = /^(\d{4})-Q([1-4])$/i.exec(spec);
+    if (match) {
+        const [year, quarter] = [Number(match[1]), Number(match[2])];
+        const first = (quarter - 1) * 3 + 1;
+        const monthName = month => new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-AU', { timeZone: 'UTC', month: 'long' });
+        return {
+            key: `${year}-Q${quarter}`,
+            label: `Q${quarter} ${year} (${monthName(first)} to ${monthName(first + 2)})`,
+            from: `${year}-${String(first).padStart(2, '0')}-01`,
+            to: lastDayOf(year, first + 2)
+        };
+    }
+
+    throw new Error(`"${spec}" is not a month (2025-07) or quarter (2025-Q3)`);
+}
+
+function countBySeverity(updates) {
+    const counts = Object.fromEntries(SEVERITY_ORDER.map(severity => [severity, 0]));
+    updates.forEach(update => counts[update.severity] = (counts[update.severity] || 0) + 1);
+    return counts;
+}
+
+// Format-neutral model of the report, shared by the three writers
+function buildReport(updates, registry, reviewIndex, period, { siteUrl } = {}) {
+    const day = update => update.timestamp.slice(0, 10);
+    const entry = update => ({
+        ...update,
+        reviewState: reviewStateOf(reviewIndex, update.id),
+        assignee: (reviewIndex.reviews[update.id] || {}).assignee || null,
+        documentTypeLabel: registry.documentTypes[update.document_type] || update.document_type,
+        dashboardUrl: siteUrl ? detailUrl(siteUrl, update) : null
+    });
+    const oldestFirst = (a, b) => a.timestamp.localeCompare(b.timestamp);
+
+    const inPeriod = updates.filter(update => day(update) >= period.from && day(update) <= period.to).sort(oldestFirst).map(entry);
+
+    // Registry order, then any sources that have since been removed from it
+    const sourceIds = registry.sources.map(source => source.id);
+    inPeriod.forEach(update => !sourceIds.includes(update.source_id) && sourceIds.push(update.source_id));
+
+    const groups = Object.keys(CATEGORY_TITLES).map(category => {
+        const sources = sourceIds
+            .map(id => {
+                const source = registry.sources.find(candidate => candidate.id === id);
+                const sourceUpdates = inPeriod.filter(update => update.source_id === id && update.category === category);
+                if (!sourceUpdates.length) return null;
+                return { id, name: source ? source.name : sourceUpdates[0].source_name, counts: countBySeverity(sourceUpdates), updates: sourceUpdates };
+            })
+            .filter(Boolean);
+        return { category, title: CATEGORY_TITLES[category], sources, total: sources.reduce((sum, source) => sum + source.updates.length, 0) };
+    });
+
+    const actionItems = updates
+        .filter(update => update.action_required && day(update) <= period.to && !RESOLVED_STATES.includes(reviewStateOf(reviewIndex, update.id)))
+        .sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) || oldestFirst(a, b))
+        .map(entry);
+
+    return {
+        title: `AI platform and policy changes: ${period.label}`,
+        period,
+        generatedAt: now().toISOString(),
+        total: inPeriod.length,
+        counts: countBySeverity(inPeriod),
+        groups,
+        actionItems
+    };
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Summaries are model output: escaped first, then only bullet lines and
+// **bold** are turned into markup
+function summaryHtml(summary) {
+    const html = [];
+    let list = [];
+    const flush = () => {
+        if (list.length) html.push(`<ul>${list.map(item => `<li>${item}</li>`).join('')}</ul>`);
+        list = [];
+    };
+    for (const line of String(summary || '').split('\n').map(text => text.trim()).filter(Boolean)) {
+        const inline = escapeHtml(line).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+        const bullet = /^[-*]\s+(.*)$/.exec(inline);
+        if (bullet) {
+            list.push(bullet[1]);
+        } else {
+            flush();
+            html.push(`<p>${inline}</p>`);
+        }
+    }
+    flush();
+    return html.join('\n');
+}
+
+// Only http(s) links are written out as links
+function safeUrl(url) {
+    return /^https?:\/\//i.test(url || '') ? url : null;
+}
+
+const PRINT_STYLES = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #2c3e50; line-height: 1.5; max-width: 960px; margin: 2rem auto; padding: 0 1.5rem; }
+    h1 { border-bottom: 3px solid #3498db; padding-bottom: 0.5rem; }
+    h2 { margin-top: 2.5rem; border-bottom: 1px solid #ddd; }
+    table { border-collapse: collapse; margin: 1rem 0; }
+    th, td { border: 1px solid #ddd; padding: 0.35rem 0.75rem; text-align: left; vertical-align: top; }
+    th { background: #f4f6f7; }
+    td.count { text-align: right; }
+    .meta { color: #7f8c8d; font-size: 0.9rem; }
+    .update { border-left: 4px solid #3498db; padding: 0.25rem 0 0.25rem 1rem; margin: 1.25rem 0; }
+    .update h4 { margin: 0 0 0.25rem; }
+    .severity { display: inline-block; border-radius: 3px; padding: 0 0.4rem; font-size: 0.8rem; font-weight: 600; }
+    .severity-info, .severity-low { background: #eaf2f8; }
+    .severity-medium { background: #fef5e7; }
+    .severity-high { background: #fdebd0; }
+    .severity-critical { background: #fadbd8; }
+    .empty { color: #7f8c8d; font-style: italic; }
+
+    @media print {
+        @page { size: A4; margin: 18mm 15mm; }
+        body { max-width: none; margin: 0; padding: 0; font-size: 10.5pt; }
+        h2 { break-before: page; }
+        h2.first { break-before: auto; }
+        h3, h4 { break-after: avoid; }
+        .update, tr { break-inside: avoid; }
+        a { color: inherit; text-decoration: none; }
+        a.source::after { content: " (" attr(href) ")"; font-size: 8.5pt; word-break: break-all; }
+    }`;
+
+function severityBadge(severity) {
+    return `<span class="severity severity-${escapeHtml(severity)}">${escapeHtml(SEVERITY_LABELS[severity] || severity)}</span>`;
+}
+
+function countsTableHtml(rows) {
+    return `<table>
+<tr><th></th>${SEVERITY_ORDER.map(severity => `<th>${SEVERITY_LABELS[severity]}</th>`).join('')}<th>Total</th></tr>
+${rows.map(({ label, counts }) => `<tr><th>${escapeHtml(label)}</th>${SEVERITY_ORDER.map(severity => `<td class="count">${counts[severity]}</td>`).join('')}<td class="count">${Object.values(counts).reduce((a, b) => a + b, 0)}</td></tr>`).join('\n')}
+</table>`;
+}
+
+function updateHtml(update) {
+    const source = safeUrl(update.url);
+    const dashboard = safeUrl(update.dashboardUrl);
+    return `<div class="update">
+<h4>${escapeHtml(update.title)}</h4>
+<p class="meta">${formatDay(update.timestamp)} · ${escapeHtml(update.documentTypeLabel)}${update.type === 'new-item' ? ' · New item' : ''} · ${severityBadge(update.severity)} · Review: ${escapeHtml(update.reviewState)}${update.assignee ? ` (${escapeHtml(update.assignee)})` : ''}</p>
+${summaryHtml(update.summary)}
+<p class="meta">${source ? `<a class="source" href="${escapeHtml(source)}">Source document</a>` : ''}${source && dashboard ? ' · ' : ''}${dashboard ? `<a href="${escapeHtml(dashboard)}">Details on the dashboard</a>` : ''}</p>
+</div>`;
+}
+
+function renderHtml(report) {
+    const { period } = report;
+    const sections = report.groups.map(group => `<h2>${escapeHtml(group.title)}</h2>
+${group.sources.length ? group.sources.map(source => `<h3>${escapeHtml(source.name)}</h3>
+${source.updates.map(updateHtml).join('\n')}`).join('\n') : '<p class="empty">No changes in this period.</p>'}`);
+
+    const actionRows = report.actionItems.map(update => `<tr><td>${severityBadge(update.severity)}</td><td>${safeUrl(update.url) ? `<a class="source" href="${escapeHtml(update.url)}">${escapeHtml(update.title)}</a>` : escapeHtml(update.title)}</td><td>${escapeHtml(update.source_name)}</td><td>${formatDay(update.timestamp)}</td><td>${escapeHtml(update.reviewState)}</td><td>${escapeHtml(update.assignee || '-')}</td></tr>`);
+
+    return `<!DOCTYPE html>
+<html lang="en-AU">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(report.title)}</title>
+<style>${PRINT_STYLES}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="meta">${formatDay(period.from)} to ${formatDay(period.to)} · Generated ${formatDay(report.generatedAt)} from the AI Steward Tracker update history</p>
+
+<h2 class="first">Summary</h2>
+<p>${report.total} change${report.total === 1 ? '' : 's'} recorded, ${report.actionItems.length} open action item${report.actionItems.length === 1 ? '' : 's'}.</p>
+${countsTableHtml([
+        { label: 'All changes', counts: report.counts },
+        ...report.groups.flatMap(group => group.sources.map(source => ({ label: source.name, counts: source.counts })))
+    ])}
+
+<h3>Open action items</h3>
+${actionRows.length ? `<table>
+<tr><th>Severity</th><th>Update</th><th>Platform or agency</th><th>Recorded</th><th>Review</th><th>Assignee</th></tr>
+${actionRows.join('\n')}
+</table>` : '<p class="empty">No open action items.</p>'}
+
+${sections.join('\n\n')}
+</body>
+</html>
+`;
+}
+
+// Model output must not turn into HTML wherever the Markdown is rendered
+function escapeMarkdown(value) {
+    return String(value ?? '').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeCell(value) {
+    return escapeMarkdown(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+function markdownUrl(url) {
+    return url.replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+}
+
+function renderMarkdown(report) {
+    const { period } = report;
+    const table = (header, rows) => [`| ${header.join(' | ')} |`, `|${header.map(() => ' --- ').join('|')}|`, ...rows.map(row => `| ${row.map(escapeCell).join(' | ')} |`)];
+    const countRow = (label, counts) => [label, ...SEVERITY_ORDER.map(severity => counts[severity]), Object.values(counts).reduce((a, b) => a + b, 0)];
+
+    const lines = [
+        `# ${escapeMarkdown(report.title)}`,
+        '',
+        `${formatDay(period.from)} to ${formatDay(period.to)}. Generated ${formatDay(report.generatedAt)} from the AI Steward Tracker update history.`,
+        '',
+        '## Summary',
+        '',
+        `${report.total} change${report.total === 1 ? '' : 's'} recorded, ${report.actionItems.length} open action item${report.actionItems.length === 1 ? '' : 's'}.`,
+        '',
+        ...table(['', ...SEVERITY_ORDER.map(severity => SEVERITY_LABELS[severity]), 'Total'], [
+            countRow('All changes', report.counts),
+            ...report.groups.flatMap(group => group.sources.map(source => countRow(source.name, source.counts)))
+        ]),
+        '',
+        '### Open action items',
+        '',
+        ...(report.actionItems.length
+            ? table(['Severity', 'Update', 'Platform or agency', 'Recorded', 'Review', 'Assignee'], report.actionItems.map(update => [
+                SEVERITY_LABELS[update.severity], update.title, update.source_name, formatDay(update.timestamp), update.reviewState, update.assignee || '-'
+            ]))
+            : ['No open action items.'])
+    ];
+
+    for (const group of report.groups) {
+        lines.push('', `## ${group.title}`, '');
+        if (!group.sources.length) lines.push('No changes in this period.');
+        for (const source of group.sources) {
+            lines.push(`### ${escapeMarkdown(source.name)}`, '');
+            for (const update of source.updates) {
+                lines.push(
+                    `#### ${escapeMarkdown(update.title)}`,
+                    '',
+                    `${formatDay(update.timestamp)} · ${update.documentTypeLabel}${update.type === 'new-item' ? ' · New item' : ''} · ${SEVERITY_LABELS[update.severity] || update.severity} severity · Review: ${update.reviewState}${update.assignee ? ` (${escapeMarkdown(update.assignee)})` : ''}`,
+                    '',
+                    escapeMarkdown(update.summary),
+                    '',
+                    [safeUrl(update.url) && `[Source document](${markdownUrl(update.url)})`, safeUrl(update.dashboardUrl) && `[Details on the dashboard](${markdownUrl(update.dashboardUrl)})`].filter(Boolean).join(' · '),
+                    ''
+                );
+            }
+        }
+    }
+    return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trimEnd()}\n`;
+}
+
+const CSV_COLUMNS = [
+    ['date', update => update.timestamp.slice(0, 10)],
+    ['category', update => update.category],
+    ['source', update => update.source_name],
+    ['document_type', update => update.documentTypeLabel],
+    ['type', update => update.type || 'change'],
+    ['title', update => update.title],
+    ['severity', update => update.severity],
+    ['action_required', update => update.action_required ? 'yes' : 'no'],
+    ['review_state', update => update.reviewState],
+    ['assignee', update => update.assignee || ''],
+    ['summary', update => update.summary],
+    ['source_url', update => update.url],
+    ['dashboard_url', update => update.dashboardUrl || ''],
+    ['update_id', update => update.id]
+];
+
+// RFC 4180 quoting. Cells that a spreadsheet would read as a formula get a
+// leading apostrophe, since titles and summaries come from third-party pages.
+function csvCell(value) {
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv(report) {
+    const updates = report.groups.flatMap(group => group.sources.flatMap(source => source.updates));
+    return [CSV_COLUMNS.map(([name]) => name), ...updates.map(update => CSV_COLUMNS.map(([, value]) => value(update)))]
+        .map(row => row.map(csvCell).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+const RENDERERS = { html: renderHtml, md: renderMarkdown, csv: renderCsv };
+
+// Writes the report in each format; returns the files written
+function writeReport(report, formats = FORMATS, dir = REPORTS_DIR) {
+    fs.mkdirSync(dir, { recursive: true });
+    return formats.map(format => {
+        const file = path.join(dir, `ai-changes-${report.period.key}.${format}`);
+        fs.writeFileSync(file, RENDERERS[format](report));
+        return file;
+    });
+}
+
+module.exports = {
+    FORMATS,
+    REPORTS_DIR,
+    buildReport,
+    renderCsv,
+    renderHtml,
+    renderMarkdown,
+    resolvePeriod,
+    writeReport
+};
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./schema');
+
+// Reviewer triage for updates, kept as one JSON sidecar per update so the
+// static dashboard can read it and every change is a reviewable git commit:
+//
+//   data/reviews/<update-id>.json
+//       { updateId, state, assignee, notes: [{ at, by, text }], resolvedAt,
+//         history: [{ at, by, changes: { state?, assignee?, note? } }] }
+//   data/reviews/index.json
+//       { updatedAt, reviews: { <update-id>: { state, assignee, resolvedAt, updatedAt } } }
+//
+// History is append-only: each change records who made it, when, and the
+// before and after values. An update without a sidecar is "new".
+
+const REVIEWS_DIR = 'data/reviews';
+const SCHEMA_PATH = path.join(__dirname, '..', '..', 'data', 'schemas', 'review.schema.json');
+
+const REVIEW_STATES = ['new', 'in-review', 'actioned', 'not-relevant'];
+const RESOLVED_STATES = ['actioned', 'not-relevant'];
+
+function reviewPath(updateId, root = REVIEWS_DIR) {
+    return path.join(root, `${updateId}.json`);
+}
+
+function validateReview(review) {
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+    return validate(schema, review);
+}
+
+function newReview(updateId) {
+    return { updateId, state: 'new', assignee: null, notes: [], resolvedAt: null, history: [] };
+}
+
+function loadReview(updateId, root = REVIEWS_DIR) {
+    const file = reviewPath(updateId, root);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function loadReviewIndex(root = REVIEWS_DIR) {
+    const file = path.join(root, 'index.json');
+    if (!fs.existsSync(file)) return { updatedAt: null, reviews: {} };
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Applies { state, assignee, note } made by `by` and saves the sidecar and the
+// index. Fields left undefined are unchanged; assignee null unassigns. Returns
+// the saved review, or throws if nothing would change or the result is invalid.
+function recordReview(updateId, { by, state, assignee, note, at = new Date() }, root = REVIEWS_DIR) {
+    if (!by) throw new Error('A reviewer name is required');
+    if (state !== undefined && !REVIEW_STATES.includes(state)) {
+        throw new Error(`Unknown review state "${state}" (expected ${REVIEW_STATES.join(', ')})`);
+    }
+
+    const review = loadReview(updateId, root) || newReview(updateId);
+    const timestamp = at.toISOString();
+    const changes = {};
+
+    if (state !== undefined && state !== review.state) {
+        changes.state = { from: review.state, to: state };
+        review.state = state;
+        review.resolvedAt = RESOLVED_STATES.includes(state) ? timestamp : null;
+    }
+    if (assignee !== undefined && assignee !== review.assignee) {
+        changes.assignee = { from: review.assignee, to: assignee };
+        review.assignee = assignee;
+    }
+    if (note) {
+        changes.note = note;
+        review.notes.push({ at: timestamp, by, text: note });
+    }
+    if (!Object.keys(changes).length) {
+        throw new Error(`Nothing to change for ${updateId}`);
+    }
+    review.history.push({ at: timestamp, by, changes });
+
+    const problems = validateReview(review);
+    if (problems.length) {
+        throw new Error(`Refusing to save invalid review for ${updateId}:\n  ${problems.join('\n  ')}`);
+    }
+
+    fs.mkdirSync(root, { recursive: true });
+    fs.writeFileSync(reviewPath(updateId, root), JSON.stringify(review, null, 2));
+
+    const index = loadReviewIndex(root);
+    index.reviews[updateId] = { state: review.state, assignee: review.assignee, resolvedAt: review.resolvedAt, updatedAt: timestamp };
+    index.reviews = Object.fromEntries(Object.entries(index.reviews).sort(([a], [b]) => a.localeCompare(b)));
+    index.updatedAt = timestamp;
+    fs.writeFileSync(path.join(root, 'index.json'), JSON.stringify(index, null, 2));
+
+    return review;
+}
+
+function reviewStateOf(index, updateId) {
+    return index.reviews[updateId] ? index.reviews[updateId].state : 'new';
+}
+
+module.exports = {
+    RESOLVED_STATES,
+    REVIEWS_DIR,
+    REVIEW_STATES,
+    loadReview,
+    loadReviewIndex,
+    recordReview,
+    reviewStateOf,
+    validateReview
+};
@@ -0,0 +1,133 @@
+// robots.txt support (RFC 9309): group selection by user-agent token, longest
+// match wins between Allow and Disallow, "*" and "$" wildcards, plus the
+// non-standard Crawl-delay that several government sites still publish.
+
+const ROBOTS_MAX_BYTES = 500 * 1024;
+
+function parseRobots(text) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const match = line.match(/^([a-zA-Z-]+)\s*:\s*(.*)$/);
+        if (!match) continue;
+
+        const field = match[1].toLowerCase();
+        const value = match[2].trim();
+
+        if (field === 'user-agent') {
+            if (!lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+
+        lastWasAgent = false;
+        if (!current) continue;
+
+        if ((field === 'allow' || field === 'disallow') && value) {
+            current.rules.push({ allow: field === 'allow', path: value });
+        } else if (field === 'crawl-delay' && !Number.isNaN(Number(value))) {
+            current.crawlDelay = Number(value);
+        }
+    }
+
+    return groups;
+}
+
+// Decodes each run of %XX escapes that is valid UTF-8 and leaves the rest as
+// written, so a malformed escape in a URL or rule can't throw
+function decodePath(path) {
+    return path.replace(/(?:%[0-9a-f]{2})+/gi, escapes => {
+        try {
+            return decodeURIComponent(escapes);
+        } catch (error) {
+            return escapes;
+        }
+    });
+}
+
+function patternToRegExp(path) {
+    const anchored = path.endsWith('$');
+    const body = decodePath(anchored ? path.slice(0, -1) : path)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// The rules that apply to us: groups naming our product token, else the "*" group
+function rulesFor(groups, productToken) {
+    const token = productToken.toLowerCase();
+    const named = groups.filter(group => group.agents.includes(token));
+    const chosen = named.length ? named : groups.filter(group => group.agents.includes('*'));
+    return {
+        rules: chosen.flatMap(group => group.rules),
+        crawlDelay: chosen.reduce((delay, group) => group.crawlDelay === null ? delay : Math.max(delay || 0, group.crawlDelay), null)
+    };
+}
+
+function isAllowed(policy, url) {
+    const { pathname, search } = new URL(url);
+    const target = decodePath(pathname) + search;
+    let best = null;
+
+    for (const rule of policy.rules) {
+        if (!patternToRegExp(rule.path).test(target)) continue;
+        const length = rule.path.length;
+        // Longest match wins; on a tie, Allow wins
+        if (!best || length > best.length || (length === best.length && rule.allow)) {
+            best = { allow: rule.allow, length };
+        }
+    }
+    return best ? best.allow : true;
+}
+
+// Fetches and caches one robots policy per origin. Unavailable (4xx) means no
+// restrictions; unreachable is logged and treated the same, since a flaky
+// robots.txt shouldn't stop us reading public policy pages.
+function createRobotsChecker({ fetchDocument, productToken }) {
+    const policies = new Map();
+    const known = new Set();
+
+    const policyFor = origin => {
+        if (!policies.has(origin)) {
+            policies.set(origin, fetchDocument(`${origin}/robots.txt`, { retries: 1, maxBytes: ROBOTS_MAX_BYTES })
+                .then(response => rulesFor(parseRobots(response.body), productToken))
+                .catch(error => {
+                    if (!(error.statusCode >= 400 && error.statusCode < 500)) {
+                        console.log(`  ⚠️  Could not read ${origin}/robots.txt (${error.message}), assuming no restrictions`);
+                    }
+                    return { rules: [], crawlDelay: null };
+                })
+                .then(policy => {
+                    known.add(origin);
+                    return policy;
+                }));
+        }
+        return policies.get(origin);
+    };
+
+    return {
+        // Whether the origin's robots.txt has been read (or given up on)
+        known: origin => known.has(origin),
+        load: policyFor,
+
+        async check(url) {
+            const policy = await policyFor(new URL(url).origin);
+            return { allowed: isAllowed(policy, url), crawlDelay: policy.crawlDelay };
+        }
+    };
+}
+
+module.exports = {
+    createRobotsChecker,
+    isAllowed,
+    parseRobots,
+    rulesFor
+};
@@ -0,0 +1,128 @@
+const { PRODUCT_TOKEN, fetchDocument } = require('./fetcher');
+const { createRobotsChecker } = require('./robots');
+const { cassetteMode } = require('./cassette');
+
+// Runs fetches with an overall concurrency limit and per-host politeness: at most
+// perHost requests in flight per host, and request starts to one host spaced by
+// at least hostDelay (or the host's robots.txt Crawl-delay, if longer). Reading
+// an origin's robots.txt takes a host slot like any other request.
+// Results come back in input order whatever order they finished in, so the
+// checkers write data/ deterministically.
+//
+// Environment overrides: CHECK_CONCURRENCY, CHECK_PER_HOST, CHECK_HOST_DELAY_MS,
+// CHECK_IGNORE_ROBOTS=1. Replayed runs (see cassette.js) touch no server, so
+// they skip the spacing.
+
+function loadSchedulerConfig(env = process.env) {
+    return {
+        concurrency: Number(env.CHECK_CONCURRENCY) || 6,
+        perHost: Number(env.CHECK_PER_HOST) || 1,
+        hostDelay: env.CHECK_HOST_DELAY_MS !== undefined ? Number(env.CHECK_HOST_DELAY_MS) : 2000,
+        respectRobots: env.CHECK_IGNORE_ROBOTS !== '1'
+    };
+}
+
+function createScheduler(config = loadSchedulerConfig(), fetcher = fetchDocument) {
+    const robots = config.respectRobots ? createRobotsChecker({ fetchDocument: fetcher, productToken: PRODUCT_TOKEN }) : null;
+    const hosts = new Map();
+
+    const throttle = cassetteMode() !== 'replay';
+    const hostState = host => {
+        if (!hosts.has(host)) hosts.set(host, { active: 0, nextAt: 0, delay: throttle ? config.hostDelay : 0 });
+        return hosts.get(host);
+    };
+
+    // Calls task(item) for each item, resolving to [{ value } | { error }] in input order
+    function map(items, urlOf, task) {
+        return new Promise(resolve => {
+            const results = new Array(items.length);
+            const pending = items.map((item, index) => {
+                const { host, origin } = new URL(urlOf(item));
+                return { item, index, url: urlOf(item), host, origin };
+            });
+            const readingRobots = new Set();
+            let active = 0;
+            let finished = 0;
+            let timer = null;
+
+            const readRobots = (origin, host, now) => {
+                readingRobots.add(origin);
+                active++;
+                host.active++;
+                host.nextAt = now + host.delay;
+                robots.load(origin).then(policy => {
+                    if (policy.crawlDelay && throttle) host.delay = Math.max(host.delay, policy.crawlDelay * 1000);
+                    host.nextAt = Math.max(host.nextAt, now + host.delay);
+                    active--;
+                    host.active--;
+                    dispatch();
+                });
+            };
+
+            const run = async (job, host) => {
+                try {
+                    if (robots && !(await robots.check(job.url)).allowed) {
+                        throw new Error(`Blocked by robots.txt: ${job.url}`);
+                    }
+                    results[job.index] = { value: await task(job.item) };
+                } catch (error) {
+                    results[job.index] = { error };
+                }
+            };
+
+            const dispatch = () => {
+                if (finished === items.length) {
+                    resolve(results);
+                    return;
+                }
+
+                const now = Date.now();
+                let wakeAt = Infinity;
+                for (let i = 0; i < pending.length && active < config.concurrency;) {
+                    const job = pending[i];
+                    const host = hostState(job.host);
+                    if (host.active >= config.perHost) {
+                        i++;
+                        continue;
+                    }
+                    if (host.nextAt > now) {
+                        wakeAt = Math.min(wakeAt, host.nextAt);
+                        i++;
+                        continue;
+                    }
+                    // The job waits for its origin's robots.txt, which is read first
+                    if (robots && !robots.known(job.origin)) {
+                        if (!readingRobots.has(job.origin)) readRobots(job.origin, host, now);
+                        i++;
+                        continue;
+                    }
+
+                    pending.splice(i, 1);
+                    active++;
+                    host.active++;
+                    host.nextAt = now + host.delay;
+                    run(job, host).then(() => {
+                        active--;
+                        host.active--;
+                        finished++;
+                        dispatch();
+                    });
+                }
+
+                clearTimeout(timer);
+                if (wakeAt !== Infinity) {
+                    timer = setTimeout(dispatch, wakeAt - now);
+                }
+            };
+
+            dispatch();
+        });
+    }
+
+    return { map };
+}
+
+module.exports = {
+    createScheduler,
+    loadSchedulerConfig
+};
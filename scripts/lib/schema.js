@@ -0,0 +1,123 @@
+// Minimal JSON Schema validator covering the keywords our data schemas use:
+// type, enum, const, pattern, format (uri, date-time), minLength, minimum, maximum,
+// required, properties, additionalProperties, propertyNames, items, minItems,
+// uniqueItems, oneOf and local $ref ("#/definitions/..."). Returns a list of
+// "path: problem" strings.
+
+const TYPE_CHECKS = {
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: Array.isArray,
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: Number.isInteger,
+    boolean: value => typeof value === 'boolean',
+    null: value => value === null
+};
+
+const FORMAT_CHECKS = {
+    uri: value => {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    },
+    'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !Number.isNaN(Date.parse(value))
+};
+
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) throw new Error(`Only local $ref is supported, got "${ref}"`);
+    return ref.slice(2).split('/').reduce((node, key) => {
+        if (!node || !(key in node)) throw new Error(`Unresolvable $ref "${ref}"`);
+        return node[key];
+    }, root);
+}
+
+function validate(schema, value, path = '$', root = schema) {
+    const errors = [];
+
+    if (schema.$ref) {
+        return validate(resolveRef(root, schema.$ref), value, path, root);
+    }
+
+    if (schema.oneOf) {
+        const matches = schema.oneOf.filter(option => validate(option, value, path, root).length === 0);
+        if (matches.length !== 1) {
+            errors.push(`${path}: must match exactly one allowed shape`);
+        }
+        return errors;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => TYPE_CHECKS[type](value))) {
+            errors.push(`${path}: expected ${types.join(' or ')}`);
+            return errors;
+        }
+    }
+
+    if ('const' in schema && value !== schema.const) {
+        errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path}: must be at least ${schema.minLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path}: must match ${schema.pattern}`);
+        }
+        if (schema.format && FORMAT_CHECKS[schema.format] && !FORMAT_CHECKS[schema.format](value)) {
+            errors.push(`${path}: must be a valid ${schema.format}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path}: must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path}: must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+            errors.push(`${path}: items must be unique`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}[${index}]`, root)));
+        }
+    }
+
+    if (TYPE_CHECKS.object(value)) {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${path}: missing required property "${key}"`);
+        }
+        for (const [key, child] of Object.entries(value)) {
+            const childPath = `${path}.${key}`;
+            if (schema.propertyNames) {
+                errors.push(...validate(schema.propertyNames, key, `${childPath} (name)`, root));
+            }
+            if (schema.properties && schema.properties[key]) {
+                errors.push(...validate(schema.properties[key], child, childPath, root));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${childPath}: unexpected property`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validate(schema.additionalProperties, child, childPath, root));
+            }
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    validate
+};
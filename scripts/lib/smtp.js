@@ -0,0 +1,169 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// Just enough SMTP to hand a plain-text message to a relay: EHLO, optional
+// STARTTLS (or implicit TLS with secure: true), AUTH PLAIN/LOGIN, then one
+// message to any number of recipients.
+
+const DEFAULT_TIMEOUT = 30000;
+
+// Collects multi-line replies ("250-..." lines up to a final "250 ...")
+function replyReader() {
+    let buffer = '';
+    const lines = [];
+    const waiting = [];
+    let failure = null;
+    let detach = () => {};
+
+    const flush = () => {
+        while (waiting.length) {
+            const last = lines.findIndex(line => /^\d{3}( |$)/.test(line));
+            if (last === -1) break;
+            const reply = lines.splice(0, last + 1);
+            waiting.shift().resolve({ code: Number(reply[last].slice(0, 3)), text: reply.map(line => line.slice(4)).join('\n') });
+        }
+        if (failure) {
+            while (waiting.length) waiting.shift().reject(failure);
+        }
+    };
+
+    return {
+        attach(socket) {
+            detach();
+            const onData = chunk => {
+                buffer += chunk.toString('utf8');
+                const parts = buffer.split('\r\n');
+                buffer = parts.pop();
+                lines.push(...parts);
+                flush();
+            };
+            const onError = error => {
+                failure = error;
+                flush();
+            };
+            const onClose = () => onError(failure || new Error('SMTP connection closed unexpectedly'));
+            socket.on('data', onData);
+            socket.on('error', onError);
+            socket.on('close', onClose);
+            detach = () => {
+                socket.off('data', onData);
+                socket.off('error', onError);
+                socket.off('close', onClose);
+            };
+        },
+        detach: () => detach(),
+        next() {
+            return new Promise((resolve, reject) => {
+                waiting.push({ resolve, reject });
+                flush();
+            });
+        }
+    };
+}
+
+function connect(options, socket) {
+    return new Promise((resolve, reject) => {
+        const connection = socket
+            ? tls.connect({ socket, servername: options.host, rejectUnauthorized: options.rejectUnauthorized !== false })
+            : options.secure
+                ? tls.connect({ host: options.host, port: options.port, servername: options.host, rejectUnauthorized: options.rejectUnauthorized !== false })
+                : net.connect({ host: options.host, port: options.port });
+        const ready = socket || options.secure ? 'secureConnect' : 'connect';
+        connection.once(ready, () => {
+            connection.off('error', reject);
+            resolve(connection);
+        });
+        connection.once('error', reject);
+        connection.setTimeout(options.timeout, () => connection.destroy(new Error(`SMTP timed out after ${options.timeout}ms`)));
+    });
+}
+
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+// "Name <someone@example.gov.au>" -> "someone@example.gov.au"
+function envelopeAddress(address) {
+    const match = address.match(/<([^>]+)>/);
+    return (match ? match[1] : address).trim();
+}
+
+function buildMessage({ from, to, subject, text }, date = new Date()) {
+    const domain = envelopeAddress(from).split('@')[1] || os.hostname();
+    const body = Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${date.toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+async function sendMail(options, message) {
+    const settings = { timeout: DEFAULT_TIMEOUT, port: options.secure ? 465 : 587, ...options };
+    const reader = replyReader();
+    let socket = await connect(settings);
+    reader.attach(socket);
+
+    const expect = async (expected, sent) => {
+        const reply = await reader.next();
+        if (Math.floor(reply.code / 100) !== Math.floor(expected / 100)) {
+            throw new Error(`SMTP ${sent || 'greeting'} failed: ${reply.code} ${reply.text}`);
+        }
+        return reply;
+    };
+    const command = (line, expected, label = line.split(' ')[0]) => {
+        socket.write(`${line}\r\n`);
+        return expect(expected, label);
+    };
+
+    try {
+        await expect(220);
+        let hello = await command(`EHLO ${os.hostname()}`, 250);
+
+        if (settings.startTls && !settings.secure) {
+            await command('STARTTLS', 220);
+            reader.detach();
+            socket = await connect(settings, socket);
+            reader.attach(socket);
+            hello = await command(`EHLO ${os.hostname()}`, 250);
+        }
+
+        if (settings.user) {
+            if (/^AUTH\b.*\bPLAIN\b/im.test(hello.text) || !/^AUTH\b.*\bLOGIN\b/im.test(hello.text)) {
+                const token = Buffer.from(`\0${settings.user}\0${settings.password || ''}`).toString('base64');
+                await command(`AUTH PLAIN ${token}`, 235, 'AUTH');
+            } else {
+                await command('AUTH LOGIN', 334);
+                await command(Buffer.from(settings.user).toString('base64'), 334, 'AUTH');
+                await command(Buffer.from(settings.password || '').toString('base64'), 235, 'AUTH');
+            }
+        }
+
+        await command(`MAIL FROM:<${envelopeAddress(message.from)}>`, 250, 'MAIL FROM');
+        for (const recipient of message.to) {
+            await command(`RCPT TO:<${envelopeAddress(recipient)}>`, 250, 'RCPT TO');
+        }
+        await command('DATA', 354);
+        // Dot-stuffing: a line starting with "." gets another one
+        const data = buildMessage(message).replace(/^\./gm, '..');
+        await command(`${data}\r\n.`, 250, 'message');
+        await command('QUIT', 221).catch(() => {});
+    } finally {
+        reader.detach();
+        socket.destroy();
+    }
+}
+
+module.exports = {
+    buildMessage,
+    sendMail
+};
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./schema');
+
+// The registry in data/sources.json is the single list of what we monitor. The
+// checkers and the dashboard both read it, so adding a source means editing
+// that file only.
+
+const SOURCES_PATH = 'data/sources.json';
+const SCHEMA_PATH = path.join(__dirname, '..', '..', 'data', 'schemas', 'sources.schema.json');
+
+// Schema problems plus the cross-references a JSON Schema can't express
+function validateSources(registry) {
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+    const problems = validate(schema, registry);
+    if (problems.length) return problems;
+
+    const seen = new Set();
+    registry.sources.forEach((source, i) => {
+        const ids = [[source.id, `$.sources[${i}].id`]].concat(
+            source.documents.map((document, j) => [document.id, `$.sources[${i}].documents[${j}].id`])
+        );
+        for (const [id, where] of ids) {
+            if (seen.has(id)) problems.push(`${where}: duplicate id "${id}"`);
+            seen.add(id);
+        }
+
+        source.documents.forEach((document, j) => {
+            if (!registry.documentTypes[document.type]) {
+                problems.push(`$.sources[${i}].documents[${j}].type: unknown document type "${document.type}"`);
+            }
+            if (document.listing && source.category !== 'policy') {
+                problems.push(`$.sources[${i}].documents[${j}].listing: listing mode is only supported for policy sources`);
+            }
+        });
+    });
+
+    return problems;
+}
+
+function loadSources(sourcesPath = SOURCES_PATH) {
+    let registry;
+    try {
+        registry = JSON.parse(fs.readFileSync(sourcesPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read sources registry ${sourcesPath}: ${error.message}`);
+    }
+
+    const problems = validateSources(registry);
+    if (problems.length) {
+        const error = new Error(`Invalid sources registry ${sourcesPath}:\n  ${problems.join('\n  ')}`);
+        error.problems = problems;
+        throw error;
+    }
+    return registry;
+}
+
+function sourcesByCategory(registry, category) {
+    return registry.sources.filter(source => source.category === category);
+}
+
+function documentTypeLabel(registry, type) {
+    return registry.documentTypes[type] || type;
+}
+
+module.exports = {
+    SOURCES_PATH,
+    documentTypeLabel,
+    loadSources,
+    sourcesByCategory,
+    validateSources
+};
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const { now } = require('./clock');
+
+// Per-document health written by every check run to data/status.json, so the
+// dashboard can show what actually happened instead of assuming "monitored".
+
+const STATUS_PATH = 'data/status.json';
+const STATUS_VERSION = 1;
+
+function loadStatus(statusPath = STATUS_PATH) {
+    if (fs.existsSync(statusPath)) {
+        try {
+            const status = JSON.parse(fs.readFileSync(statusPath, 'utf8'));
+            if (status.version === STATUS_VERSION && status.documents) return status;
+        } catch (error) {
+            console.error('Error reading status file, starting afresh:', error.message);
+        }
+    }
+    return { version: STATUS_VERSION, updatedAt: null, documents: {} };
+}
+
+function entryFor(status, source, document) {
+    const entry = status.documents[document.id] || {
+        lastAttempt: null,
+        lastSuccess: null,
+        httpStatus: null,
+        error: null,
+        contentHash: null,
+        etag: null,
+        lastModified: null,
+        consecutiveFailures: 0
+    };
+    entry.sourceId = source.id;
+    entry.url = document.url;
+    status.documents[document.id] = entry;
+    return entry;
+}
+
+function recordSuccess(status, source, document, { httpStatus = 200, contentHash, etag = null, lastModified = null, checkedAt = now() }) {
+    const entry = entryFor(status, source, document);
+    entry.lastAttempt = checkedAt.toISOString();
+    entry.lastSuccess = entry.lastAttempt;
+    entry.httpStatus = httpStatus;
+    entry.error = null;
+    entry.contentHash = contentHash;
+    entry.etag = etag;
+    entry.lastModified = lastModified;
+    entry.consecutiveFailures = 0;
+}
+
+function recordFailure(status, source, document, error, checkedAt = now()) {
+    const entry = entryFor(status, source, document);
+    entry.lastAttempt = checkedAt.toISOString();
+    entry.httpStatus = error.statusCode || null;
+    entry.error = error.message;
+    entry.consecutiveFailures++;
+}
+
+// Validators for a conditional GET, only worth sending when the archived
+// version is the one the server would be telling us is unchanged
+function conditionalFor(status, document, latestVersion) {
+    const entry = status.documents[document.id];
+    if (!entry || !latestVersion || entry.contentHash !== latestVersion.hash) return null;
+    return { etag: entry.etag, lastModified: entry.lastModified };
+}
+
+function saveStatus(status, statusPath = STATUS_PATH) {
+    // Sorted keys keep the committed file's diffs small and stable
+    const documents = {};
+    Object.keys(status.documents).sort().forEach(id => {
+        const { sourceId, url, ...rest } = status.documents[id];
+        documents[id] = { sourceId, url, ...rest };
+    });
+
+    try {
+        fs.writeFileSync(statusPath, JSON.stringify({
+            version: STATUS_VERSION,
+            updatedAt: now().toISOString(),
+            documents
+        }, null, 2));
+    } catch (error) {
+        console.error('Error writing status file:', error);
+    }
+}
+
+module.exports = {
+    STATUS_PATH,
+    conditionalFor,
+    loadStatus,
+    recordFailure,
+    recordSuccess,
+    saveStatus
+};
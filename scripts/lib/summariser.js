@@ -0,0 +1,529 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { throughCassette } = require('./cassette');
+const { CHARS_PER_TOKEN, DEFAULT_CHUNK_TOKENS, changedChunks, chunkDocument } = require('./chunks');
+const { formatDiffForPrompt, splitBlocks } = require('./diff');
+const { validate } = require('./schema');
+
+// One summariser for both checkers. The backend is picked from the environment:
+//
+//   SUMMARISER_PROVIDER    gemini | openai | extractive | fake (default: gemini when a key is set)
+//   SUMMARISER_MODEL       model name, e.g. gemini-pro or gpt-4o-mini
+//   SUMMARISER_BASE_URL    API root, e.g. http://localhost:8787 for the mock server
+//                          or a local OpenAI-compatible model server
+//   SUMMARISER_API_KEY     key for the provider (falls back to GEMINI_API_KEY / OPENAI_API_KEY)
+//   SUMMARISER_TIMEOUT_MS  request timeout (default 60000)
+//   SUMMARISER_PROMPT_FILE JSON file overriding any of the prompt templates below
+//   SUMMARISER_RETRIES     extra attempts after an unusable reply (default 1)
+//   SUMMARISER_CHUNK_TOKENS most document text sent in one request (default 2000 tokens)
+//   SUMMARISER_MAX_CALLS   requests allowed per run (default 50)
+//   SUMMARISER_MAX_CHARS   prompt characters allowed per run (default 400000)
+//
+// Long documents are split into chunks along their headings (see chunks.js).
+// For a change only the chunks containing changes are sent, one request each,
+// and when there's more than one the partial analyses are combined in a final
+// request. Once the run's budget is used up, the remaining chunks get an
+// extractive analysis instead. The extractive provider works on the whole
+// document at once, since nothing leaves the machine; the fake provider answers
+// from the prompt alone, so chunking and the budget can be exercised offline.
+//
+// Every provider answers with a structured analysis (data/schemas/summary.schema.json):
+//
+//   { headline, changes: [{ description, quote, section }], topics, ai_relevant,
+//     ai_reasoning, severity, fallback? }
+//
+// A reply is only accepted if it matches the schema and every quote really
+// appears in the document text (before or after the change). Otherwise the
+// model is asked again with the problems listed, and after the last attempt we
+// fall back to an extractive analysis flagged for manual review.
+
+const FALLBACK_SUMMARY = 'Summary could not be generated. Please review manually.';
+const SCHEMA = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'data', 'schemas', 'summary.schema.json'), 'utf8'));
+
+// Appended to every prompt, including custom templates, so the reply can be parsed
+const OUTPUT_INSTRUCTIONS = `Reply with only a JSON object, no other text, in this shape:
+{
+  "headline": "one sentence saying what changed",
+  "changes": [{ "description": "what changed and why it matters", "quote": "a short passage copied exactly from the text above", "section": "the section heading, or null" }],
+  "topics": ["short topic names, e.g. data retention"],
+  "ai_relevant": true or false, whether the change concerns artificial intelligence,
+  "ai_reasoning": "one sentence explaining ai_relevant",
+  "severity": "info", "low", "medium", "high" or "critical", how much this matters to an Australian public servant
+}
+Quotes must be copied word for word from the text above, not paraphrased.`;
+
+const DEFAULT_PROMPTS = {
+    platformChange: 'Below are the sections of a policy document that changed since we last checked it. Summarize the significant changes in a friendly, colleague-like tone. Focus on what an Australian public servant should know. Keep it concise and highlight any changes related to data handling, privacy, or terms that might affect government use:\n\n{{changes}}',
+    platformBaseline: 'Summarize this policy document for an Australian public servant in a friendly, colleague-like tone. Focus on key points about data handling, privacy, and terms that might affect government use:\n\n{{text}}',
+    policyChange: 'Below are the sections of an Australian government policy page from {{source}} that changed since we last checked it. Summarize any significant changes in a friendly, colleague-like tone. Focus specifically on AI-related policy changes, new guidelines, regulations, or requirements that Australian public servants should know about. If there are no AI-related changes, say so clearly:\n\n{{changes}}',
+    policyBaseline: "Analyze this Australian government policy document from {{source}} and summarize any AI-related content in a friendly, colleague-like tone. Focus on guidelines, regulations, or requirements that Australian public servants should know about. If there's no AI-related content, say so clearly:\n\n{{text}}",
+    combine: 'Below are analyses of separate parts of the same document from {{source}}, one JSON object per part. Combine them into a single analysis of the whole document: one headline, the most important changes with their quotes kept exactly as written, every affected topic, whether any of it concerns AI, and the overall severity:\n\n{{analyses}}'
+};
+
+const PROVIDER_DEFAULTS = {
+    gemini: { model: 'gemini-pro', baseUrl: 'https://generativelanguage.googleapis.com' },
+    openai: { model: 'gpt-4o-mini', baseUrl: 'https://api.openai.com/v1' },
+    extractive: { model: 'extractive', baseUrl: null },
+    fake: { model: 'fake', baseUrl: null }
+};
+
+// Words that make a sentence worth surfacing in an offline summary
+const SALIENT_TERMS = [
+    'data', 'privacy', 'personal information', 'retain', 'retention', 'share', 'third part',
+    'train', 'artificial intelligence', ' ai ', 'government', 'australia', 'must', 'require',
+    'consent', 'delete', 'arbitration', 'liability', 'overseas', 'security'
+];
+
+// "AI" only counts as a whole, upper-case word, so "said" or "maintain" don't match
+const AI_TERMS = [
+    /\bAI\b/,
+    /\b(artificial intelligence|machine learning|generative|large language models?|LLMs?|automated decision[- ]making|chatbots?|neural networks?)\b/i
+];
+
+const TOPICS = {
+    'artificial intelligence': text => AI_TERMS.some(pattern => pattern.test(text)),
+    'privacy': text => /privacy|personal information/i.test(text),
+    'data retention': text => /\bretain|retention|\bdelet/i.test(text),
+    'data sharing': text => /third part|\bshar(e|es|ed|ing)\b|disclos/i.test(text),
+    'model training': text => /\btrain/i.test(text),
+    'offshore data': text => /overseas|offshore|cross-border/i.test(text),
+    'security': text => /security|breach/i.test(text),
+    'liability': text => /liabilit|indemn/i.test(text),
+    'disputes': text => /arbitration|dispute/i.test(text),
+    'requirements': text => /\bmust\b|mandatory|\brequire/i.test(text)
+};
+
+function loadSummariserConfig(env = process.env) {
+    const provider = (env.SUMMARISER_PROVIDER || (env.GEMINI_API_KEY || env.SUMMARISER_API_KEY ? 'gemini' : 'extractive')).toLowerCase();
+    if (!PROVIDER_DEFAULTS[provider]) {
+        throw new Error(`Unknown summariser provider "${provider}" (expected ${Object.keys(PROVIDER_DEFAULTS).join(', ')})`);
+    }
+
+    let prompts = DEFAULT_PROMPTS;
+    if (env.SUMMARISER_PROMPT_FILE) {
+        prompts = { ...DEFAULT_PROMPTS, ...JSON.parse(fs.readFileSync(env.SUMMARISER_PROMPT_FILE, 'utf8')) };
+    }
+
+    return {
+        provider,
+        model: env.SUMMARISER_MODEL || PROVIDER_DEFAULTS[provider].model,
+        baseUrl: (env.SUMMARISER_BASE_URL || PROVIDER_DEFAULTS[provider].baseUrl || '').replace(/\/+$/, ''),
+        apiKey: env.SUMMARISER_API_KEY || (provider === 'gemini' ? env.GEMINI_API_KEY : env.OPENAI_API_KEY) || '',
+        timeout: Number(env.SUMMARISER_TIMEOUT_MS) || 60000,
+        retries: env.SUMMARISER_RETRIES === undefined ? 1 : Math.max(0, Number(env.SUMMARISER_RETRIES) || 0),
+        chunkTokens: Number(env.SUMMARISER_CHUNK_TOKENS) || DEFAULT_CHUNK_TOKENS,
+        maxCalls: Number(env.SUMMARISER_MAX_CALLS) || 50,
+        maxCharacters: Number(env.SUMMARISER_MAX_CHARS) || 400000,
+        prompts
+    };
+}
+
+function fillTemplate(template, values) {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? '');
+}
+
+function buildPrompt(config, request) {
+    const { kind = 'platform', sourceName = '', text = '', diff = null } = request;
+    const template = config.prompts[`${kind}${diff ? 'Change' : 'Baseline'}`];
+    // The chunker already keeps requests within budget; these limits only stop
+    // an unchunked request from running away
+    const limit = (config.chunkTokens || DEFAULT_CHUNK_TOKENS) * CHARS_PER_TOKEN;
+    const prompt = fillTemplate(template, {
+        source: sourceName,
+        changes: diff ? formatDiffForPrompt(diff, limit * 2) : '',
+        text: text.substring(0, limit)
+    });
+    return `${prompt}\n\n${OUTPUT_INSTRUCTIONS}`;
+}
+
+function postRaw(url, payload, headers, timeout) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('http:') ? http : https;
+        const req = client.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(payload),
+                ...headers
+            }
+        }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        });
+
+        req.setTimeout(timeout, () => {
+            req.destroy(new Error(`Summariser timed out after ${timeout}ms`));
+        });
+        req.on('error', reject);
+        req.write(payload);
+        req.end();
+    });
+}
+
+// Goes through the active cassette, if any (see cassette.js)
+async function postJson(url, body, headers, timeout) {
+    const payload = JSON.stringify(body);
+    const response = await throughCassette({ method: 'POST', url, body: payload }, () => postRaw(url, payload, headers, timeout));
+    const data = response.body.toString('utf8');
+    if (response.status < 200 || response.status >= 300) {
+        throw new Error(`HTTP ${response.status} from summariser: ${data.substring(0, 200)}`);
+    }
+    try {
+        return JSON.parse(data);
+    } catch (error) {
+        throw new Error(`Invalid JSON from summariser: ${error.message}`);
+    }
+}
+
+const providers = {
+    async gemini(config, prompt) {
+        if (!config.apiKey) throw new Error('No Gemini API key configured');
+        const url = `${config.baseUrl}/v1beta/models/${encodeURIComponent(config.model)}:generateContent?key=${encodeURIComponent(config.apiKey)}`;
+        const response = await postJson(url, {
+            contents: [{ parts: [{ text: prompt }] }]
+        }, {}, config.timeout);
+
+        const candidate = response.candidates && response.candidates[0];
+        if (!candidate || !candidate.content || !candidate.content.parts) {
+            throw new Error('Gemini response had no content');
+        }
+        return candidate.content.parts.map(part => part.text || '').join('');
+    },
+
+    async openai(config, prompt) {
+        const headers = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+        const response = await postJson(`${config.baseUrl}/chat/completions`, {
+            model: config.model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: 0.2
+        }, headers, config.timeout);
+
+        const choice = response.choices && response.choices[0];
+        if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+            throw new Error('Chat completion response had no content');
+        }
+        return choice.message.content;
+    },
+
+    // No network: picks out the changed or most salient sentences verbatim
+    async extractive(config, prompt, request) {
+        return JSON.stringify(extractiveAnalysis(request));
+    },
+
+    async fake(config, prompt) {
+        return JSON.stringify(fakeAnalysis(prompt));
+    }
+};
+
+function sentences(text) {
+    return text
+        .replace(/^#{1,6} /gm, '')
+        .split(/(?<=[.!?])\s+|\n+/)
+        .map(sentence => sentence.trim())
+        .filter(sentence => sentence.length > 20);
+}
+
+function shorten(text, length = 220) {
+    return text.length > length ? `${text.substring(0, length - 3).trim()}...` : text;
+}
+
+function salience(sentence) {
+    const lower = ` ${sentence.toLowerCase()} `;
+    return SALIENT_TERMS.filter(term => lower.includes(term)).length;
+}
+
+// A verbatim prefix of the passage, cut at a word boundary, so it still
+// passes the quote check
+function excerpt(passage, length = 220) {
+    if (passage.length <= length) return passage;
+    const cut = passage.lastIndexOf(' ', length);
+    return passage.substring(0, cut > 0 ? cut : length);
+}
+
+function aiMention(text) {
+    for (const pattern of AI_TERMS) {
+        const match = text.match(pattern);
+        if (match) return match[0];
+    }
+    return null;
+}
+
+function topicsOf(text) {
+    return Object.keys(TOPICS).filter(topic => TOPICS[topic](text));
+}
+
+function extractiveAnalysis({ text = '', diff = null }, maxPoints = 5) {
+    const changes = [];
+    let headline;
+
+    if (diff) {
+        for (const hunk of diff.hunks) {
+            const section = hunk.section ? hunk.section.replace(/^#{1,6} /, '') : null;
+            for (const change of hunk.changes) {
+                if (change.type === 'context') continue;
+                const verb = { added: 'Added', removed: 'Removed', modified: 'Changed' }[change.type];
+                const passage = change.type === 'removed' ? change.before : change.after;
+                changes.push({ description: `${verb}${section ? ` in "${section}"` : ''}`, quote: excerpt(passage), section, passage });
+            }
+        }
+        const { added, removed, modified } = diff.stats;
+        headline = `${added + removed + modified} passage(s) changed (${added} added, ${removed} removed, ${modified} modified).`;
+    } else {
+        const ranked = sentences(text)
+            .map((sentence, index) => ({ sentence, index, score: salience(sentence) }))
+            .filter(item => item.score > 0)
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .slice(0, maxPoints)
+            .sort((a, b) => a.index - b.index);
+        if (!ranked.length) {
+            const lead = splitBlocks(text).find(block => !/^#{1,6} /.test(block));
+            if (lead) ranked.push({ sentence: lead });
+        }
+        for (const item of ranked) {
+            changes.push({ description: 'Key point', quote: excerpt(item.sentence), section: null, passage: item.sentence });
+        }
+        headline = ranked.length ? 'First version of this document captured.' : 'No readable text was found in this document.';
+    }
+
+    const scope = diff ? 'changed text' : 'document';
+    const scanned = diff ? changes.map(change => change.passage).join('\n') : text;
+    const mention = aiMention(scanned);
+    return {
+        headline,
+        changes: changes.slice(0, maxPoints).map(({ description, quote, section }) => ({ description, quote, section })),
+        topics: topicsOf(scanned),
+        ai_relevant: Boolean(mention),
+        ai_reasoning: mention ? `The ${scope} mentions "${mention}".` : `No AI terms appear in the ${scope}.`,
+        severity: 'info'
+    };
+}
+
+// What the checkers store when no usable analysis came back: the extractive
+// quotes, and AI relevance assumed so a policy change is never silently dropped
+function fallbackAnalysis(request) {
+    return {
+        ...extractiveAnalysis(request),
+        headline: FALLBACK_SUMMARY,
+        ai_relevant: true,
+        ai_reasoning: 'The summariser did not return a usable answer, so this change is included for manual review.',
+        fallback: true
+    };
+}
+
+const SEVERITY_ORDER = ['info', 'low', 'medium', 'high', 'critical'];
+const MAX_MERGED_CHANGES = 10;
+
+// Joins the analyses of separate chunks without asking the model: used when the
+// combining request fails, and by the fake provider
+function mergeAnalyses(partials) {
+    const analysed = partials.filter(partial => !partial.fallback);
+    const lead = analysed[0];
+    const relevant = partials.find(partial => partial.ai_relevant && !partial.fallback) || partials.find(partial => partial.ai_relevant) || partials[0];
+    const merged = {
+        headline: !lead ? FALLBACK_SUMMARY
+            : partials.length > 1 ? `${lead.headline} (plus ${partials.length - 1} other part(s) of the document)`
+            : lead.headline,
+        changes: partials.flatMap(partial => partial.changes).slice(0, MAX_MERGED_CHANGES),
+        topics: [...new Set(partials.flatMap(partial => partial.topics))],
+        ai_relevant: partials.some(partial => partial.ai_relevant),
+        ai_reasoning: relevant.ai_reasoning,
+        severity: SEVERITY_ORDER[Math.max(...partials.map(partial => SEVERITY_ORDER.indexOf(partial.severity)))]
+    };
+    if (partials.some(partial => partial.fallback)) merged.fallback = true;
+    return merged;
+}
+
+// Offline stand-in for a model, used by the fake provider and the mock server:
+// quotes the changed passages in the prompt (or the first line of the
+// document), and merges the partial analyses it is asked to combine
+function fakeAnalysis(prompt) {
+    const lines = prompt.split('\n');
+    const partials = lines.find(line => line.startsWith('[{"headline"'));
+    if (partials) {
+        const { fallback, ...merged } = mergeAnalyses(JSON.parse(partials));
+        return merged;
+    }
+
+    const changed = lines
+        .filter(line => /^(ADDED|REMOVED|CHANGED TO): /.test(line))
+        .map(line => line.replace(/^[A-Z ]+: /, '').trim())
+        .filter(Boolean);
+    const documentStart = prompt.indexOf(':\n\n');
+    const lead = documentStart === -1 ? '' : prompt.substring(documentStart + 3).split('\n').find(line => line.trim() && !/^#{1,6} /.test(line)) || '';
+    const passages = changed.length ? changed : [lead.trim()].filter(Boolean);
+    const section = lines.find(line => line.startsWith('SECTION: '));
+    const scanned = passages.join('\n');
+    const mention = aiMention(scanned);
+
+    return {
+        headline: changed.length
+            ? `${changed.length} changed passage(s)${section ? ` under ${section.substring(9).replace(/^#{1,6} /, '')}` : ''}`
+            : 'Read the opening of the document',
+        changes: passages.slice(0, 5).map(passage => ({
+            description: changed.length ? 'Changed passage' : 'Opening of the document',
+            quote: excerpt(passage, 120),
+            section: null
+        })),
+        topics: topicsOf(scanned),
+        ai_relevant: Boolean(mention),
+        ai_reasoning: mention ? `The passage mentions "${mention}".` : 'The passage does not mention AI.',
+        severity: 'low'
+    };
+}
+
+// Case, whitespace, typographic quotes and Markdown heading marks are ignored
+// when checking that a quote is in the document
+function normaliseForQuote(text) {
+    return text
+        .replace(/^#{1,6} /gm, '')
+        .replace(/[‘’]/g, "'")
+        .replace(/[“”]/g, '"')
+        .replace(/[–—]/g, '-')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+// Parses a model reply into an analysis. Returns { analysis } or { problems }.
+function parseAnalysis(reply, { text = '', previousText = '' }) {
+    const start = reply.indexOf('{');
+    const end = reply.lastIndexOf('}');
+    if (start === -1 || end < start) return { problems: ['the reply did not contain a JSON object'] };
+
+    let parsed;
+    try {
+        parsed = JSON.parse(reply.substring(start, end + 1));
+    } catch (error) {
+        return { problems: [`the JSON could not be parsed (${error.message})`] };
+    }
+
+    const problems = validate(SCHEMA, parsed);
+    if (problems.length) return { problems };
+
+    const documentText = normaliseForQuote(`${text}\n${previousText}`);
+    for (const change of parsed.changes) {
+        const quote = normaliseForQuote(change.quote).replace(/^(\.\.\.|…)\s*|\s*(\.\.\.|…)$/g, '');
+        if (!quote || !documentText.includes(quote)) {
+            problems.push(`this quote is not in the document: "${shorten(change.quote, 120)}"`);
+        }
+    }
+    if (problems.length) return { problems };
+
+    const { headline, changes, topics, ai_relevant, ai_reasoning, severity } = parsed;
+    return {
+        analysis: {
+            headline,
+            changes: changes.map(({ description, quote, section }) => ({ description, quote, section: section ?? null })),
+            topics,
+            ai_relevant,
+            ai_reasoning,
+            severity
+        }
+    };
+}
+
+// Plain-text form of an analysis, stored as the update summary
+function formatSummary(analysis) {
+    const points = analysis.changes.map(change => `- ${change.description}: "${shorten(change.quote)}"`);
+    return [analysis.headline, ...points].join('\n');
+}
+
+function createSummariser(config = loadSummariserConfig()) {
+    const provider = providers[config.provider];
+    const usage = { calls: 0, characters: 0 };
+    let budgetReported = false;
+
+    async function send(prompt, part) {
+        if (config.provider !== 'extractive') {
+            if (usage.calls + 1 > config.maxCalls || usage.characters + prompt.length > config.maxCharacters) {
+                const error = new Error(`Summariser budget for this run is used up (${usage.calls} calls, ${usage.characters} characters)`);
+                error.budget = true;
+                throw error;
+            }
+            usage.calls++;
+            usage.characters += prompt.length;
+        }
+        return provider(config, prompt, part);
+    }
+
+    // Asks until a reply passes the schema and quote checks, then gives up with
+    // fallback(); once the run's budget is spent, answers with exhausted()
+    // instead. Quotes are checked against the whole document, not just the part.
+    async function ask(prompt, part, request, fallback, exhausted = fallback) {
+        let problems = [];
+        for (let attempt = 0; attempt <= config.retries; attempt++) {
+            const attemptPrompt = problems.length
+                ? `${prompt}\n\nYour previous reply was rejected: ${problems.join('; ')}. Reply again with only the JSON object.`
+                : prompt;
+            try {
+                const result = parseAnalysis(await send(attemptPrompt, part), request);
+                if (result.analysis) return result.analysis;
+                problems = result.problems.slice(0, 5);
+                console.error(`  Summariser reply rejected (attempt ${attempt + 1}): ${problems.join('; ')}`);
+            } catch (error) {
+                if (error.budget) {
+                    if (!budgetReported) console.error(`  ⚠️  ${error.message}; using extractive summaries for the rest`);
+                    budgetReported = true;
+                    return exhausted();
+                }
+                console.error(`  Error calling ${config.provider} summariser:`, error.message);
+                problems = [];
+            }
+        }
+        return fallback();
+    }
+
+    async function analyse(part, request) {
+        return ask(buildPrompt(config, part), part, request, () => fallbackAnalysis(part), () => extractiveAnalysis(part));
+    }
+
+    async function combine(partials, request) {
+        const merged = mergeAnalyses(partials);
+        if (partials.every(partial => partial.fallback)) return merged;
+
+        const prompt = `${fillTemplate(config.prompts.combine, { source: request.sourceName || '', analyses: JSON.stringify(partials) })}\n\n${OUTPUT_INSTRUCTIONS}`;
+        const combined = await ask(prompt, request, request, () => merged);
+        // Anything one part found AI-related, or couldn't analyse, stays that way
+        combined.ai_relevant = combined.ai_relevant || merged.ai_relevant;
+        if (merged.fallback) combined.fallback = true;
+        return combined;
+    }
+
+    return {
+        name: config.provider === 'extractive' ? 'the offline summariser' : `${config.provider} (${config.model})`,
+        config,
+        usage,
+
+        // Never throws: parts that can't be analysed get the fallback analysis
+        async summarise(request) {
+            if (config.provider === 'extractive') return analyse(request, request);
+
+            const { text = '', diff = null } = request;
+            const parts = diff
+                ? changedChunks(text, diff, config.chunkTokens).map(chunk => ({ ...request, text: chunk.text, diff: chunk.diff }))
+                : chunkDocument(text, config.chunkTokens).map(chunk => ({ ...request, text: chunk.text }));
+            if (parts.length <= 1) return analyse(parts[0] || request, request);
+
+            console.log(`  🤖 Summarising ${parts.length} ${diff ? 'changed ' : ''}parts of the document separately...`);
+            const partials = [];
+            for (const part of parts) {
+                partials.push(await analyse(part, request));
+            }
+            return combine(partials, request);
+        }
+    };
+}
+
+module.exports = {
+    FALLBACK_SUMMARY,
+    buildPrompt,
+    createSummariser,
+    extractiveAnalysis,
+    fakeAnalysis,
+    formatSummary,
+    loadSummariserConfig,
+    parseAnalysis
+};
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./schema');
+const { isActionRequired } = require('./classify');
+const { now } = require('./clock');
+
+// data/updates.json is the one feed the dashboard reads, for platforms and
+// government policy alike:
+//
+//   { "schema_version": 2, "updates": [ newest first ] }
+//
+// Each record is tied to a registry source and document, and its id is the
+// document id plus the archive version it reports ("chatgpt-terms-v4"), so the
+// same change always gets the same id. Schema: data/schemas/updates.schema.json.
+//
+// This file is the recent window the dashboard loads first; the full history
+// lives in monthly shards under data/history/ (see history.js).
+
+const UPDATES_PATH = 'data/updates.json';
+const LEGACY_POLICY_UPDATES_PATH = 'data/policy-updates.json';
+const SCHEMA_PATH = path.join(__dirname, '..', '..', 'data', 'schemas', 'updates.schema.json');
+const SCHEMA_VERSION = 2;
+
+// How many updates of each category the feed keeps
+const RETENTION = { platform: 50, policy: 30 };
+
+function loadSchema() {
+    return JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+}
+
+// Checks a single record against the feed's update definition
+function validateUpdate(update) {
+    return validate({ $ref: '#/definitions/update' }, update, '$', loadSchema());
+}
+
+function validateUpdates(feed) {
+    const problems = validate(loadSchema(), feed);
+    if (problems.length) return problems;
+
+    const seen = new Set();
+    feed.updates.forEach((update, i) => {
+        if (seen.has(update.id)) problems.push(`$.updates[${i}].id: duplicate id "${update.id}"`);
+        seen.add(update.id);
+    });
+    return problems;
+}
+
+function emptyFeed() {
+    return { schema_version: SCHEMA_VERSION, updates: [] };
+}
+
+function loadUpdates(updatesPath = UPDATES_PATH) {
+    if (!fs.existsSync(updatesPath)) return emptyFeed();
+
+    let feed;
+    try {
+        feed = JSON.parse(fs.readFileSync(updatesPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read update feed ${updatesPath}: ${error.message}`);
+    }
+    if (Array.isArray(feed)) {
+        throw new Error(`${updatesPath} is in the old format; run "node scripts/migrate_updates.js" first`);
+    }
+
+    const problems = validateUpdates(feed);
+    if (problems.length) {
+        const error = new Error(`Invalid update feed ${updatesPath}:\n  ${problems.join('\n  ')}`);
+        error.problems = problems;
+        throw error;
+    }
+    return feed;
+}
+
+function saveUpdates(feed, updatesPath = UPDATES_PATH) {
+    const problems = validateUpdates(feed);
+    if (problems.length) {
+        const error = new Error(`Refusing to write invalid update feed:\n  ${problems.join('\n  ')}`);
+        error.problems = problems;
+        throw error;
+    }
+    fs.writeFileSync(updatesPath, JSON.stringify(feed, null, 2));
+}
+
+function updateId(document, version) {
+    return `${document.id}-v${version}`;
+}
+
+// Builds a feed record for a newly archived version of a document. A
+// "new-item" record is one article new on a listing page (see listing.js):
+// its id adds the item's position among that version's new items, its url is
+// the article's, and published_at is the date the page gave for it, if any.
+function createUpdate(source, document, { version, type = 'change', item = null, title, summary, analysis = null, diff = null, classification, timestamp = now() }) {
+    const severity = classification ? classification.severity : 'info';
+    return {
+        id: item ? `${updateId(document, version)}-${item.number}` : updateId(document, version),
+        type,
+        category: source.category,
+        source_id: source.id,
+        source_name: source.name,
+        document_id: document.id,
+        document_type: document.type,
+        url: item ? item.url : document.url,
+        ...(item ? { published_at: item.date } : {}),
+        title,
+        summary,
+        analysis,
+        timestamp: timestamp.toISOString(),
+        diff,
+        severity,
+        matched_rules: classification ? classification.matched_rules : [],
+        action_required: isActionRequired(severity)
+    };
+}
+
+// Adds an update at the top of the feed (replacing any record with the same id)
+// and trims each category to its retention limit, always keeping each source's
+// newest update so its dashboard card has something to show
+function addUpdate(feed, update) {
+    const kept = { platform: 0, policy: 0 };
+    const seenSources = new Set();
+    feed.updates = [update, ...feed.updates.filter(existing => existing.id !== update.id)]
+        .filter(existing => {
+            const newestForSource = !seenSources.has(existing.source_id);
+            seenSources.add(existing.source_id);
+            return ++kept[existing.category] <= RETENTION[existing.category] || newestForSource;
+        });
+    return feed;
+}
+
+// --- Migration from the schema-less files the checkers wrote before version 2 ---
+//
+// Platform records had { id: Date.now(), platform, url, type: 'updated', ... } in
+// data/updates.json; policy records had { source, type: 'policy_update', ... } in
+// data/policy-updates.json. Records are matched to the registry by source name and
+// document URL. Anything that can't be matched (such as the old "System" welcome
+// notice) is dropped and reported.
+
+const nameKey = name => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const urlKey = url => String(url || '').replace(/\/+$/, '');
+
+function findDocument(registry, category, name, url) {
+    const source = registry.sources.find(candidate => candidate.category === category && nameKey(candidate.name) === nameKey(name));
+    if (!source) return null;
+    const document = source.documents.find(candidate => urlKey(candidate.url) === urlKey(url));
+    return document ? { source, document } : null;
+}
+
+function migrateRecord(registry, category, record) {
+    const name = category === 'platform' ? record.platform : record.source;
+    const match = findDocument(registry, category, name, record.url);
+    if (!match) return null;
+
+    const { source, document } = match;
+    const timestamp = new Date(record.timestamp);
+    const severity = record.severity || 'info';
+    return {
+        id: `${document.id}-legacy-${timestamp.toISOString().replace(/\D/g, '')}`,
+        type: 'change',
+        category,
+        source_id: source.id,
+        source_name: source.name,
+        document_id: document.id,
+        document_type: document.type,
+        url: document.url,
+        title: record.title,
+        summary: record.summary || '',
+        timestamp: timestamp.toISOString(),
+        diff: typeof record.diff === 'string' ? record.diff : null,
+        severity,
+        matched_rules: record.matched_rules || [],
+        action_required: typeof record.action_required === 'boolean' ? record.action_required : isActionRequired(severity)
+    };
+}
+
+// The old checkers reported every document as "updated" the first time they saw
+// it. A legacy record that is the earliest one for its document is such a first
+// sighting, not a change, so it is left out of the feed and the history.
+function legacyBaselines(updates) {
+    const earliest = new Map();
+    for (const update of updates) {
+        const current = earliest.get(update.document_id);
+        if (!current || Date.parse(update.timestamp) < Date.parse(current.timestamp)) earliest.set(update.document_id, update);
+    }
+    return [...earliest.values()].filter(update => /-legacy-\d+$/.test(update.id));
+}
+
+// Returns { feed, dropped, baselines } where dropped lists the legacy records that
+// had no registry match and baselines the newly converted first sightings left out
+function migrateUpdates(registry, { platformRecords = [], policyRecords = [], existing = emptyFeed() } = {}) {
+    const feed = { schema_version: SCHEMA_VERSION, updates: [...existing.updates] };
+    const dropped = [];
+
+    const legacy = [
+        ...platformRecords.map(record => ['platform', record]),
+        ...policyRecords.map(record => ['policy', record])
+    ];
+    const migrated = [];
+    for (const [category, record] of legacy) {
+        const update = migrateRecord(registry, category, record);
+        if (!update) {
+            dropped.push(record);
+        } else if (!feed.updates.some(existingUpdate => existingUpdate.id === update.id)) {
+            feed.updates.push(update);
+            migrated.push(update);
+        }
+    }
+
+    const baselines = legacyBaselines(feed.updates).filter(update => migrated.includes(update));
+    feed.updates = feed.updates
+        .filter(update => !baselines.includes(update))
+        .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+    return { feed, dropped, baselines };
+}
+
+module.exports = {
+    LEGACY_POLICY_UPDATES_PATH,
+    RETENTION,
+    SCHEMA_VERSION,
+    UPDATES_PATH,
+    addUpdate,
+    createUpdate,
+    legacyBaselines,
+    loadUpdates,
+    migrateUpdates,
+    saveUpdates,
+    updateId,
+    validateUpdate,
+    validateUpdates
+};
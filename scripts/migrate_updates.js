@@ -0,0 +1,80 @@
+const fs = require('fs');
+const { LEGACY_POLICY_UPDATES_PATH, UPDATES_PATH, legacyBaselines, loadUpdates, migrateUpdates, saveUpdates } = require('./lib/updates');
+const { loadSources } = require('./lib/sources');
+const { HISTORY_DIR, addToHistory, readHistory, removeFromHistory } = require('./lib/history');
+
+// Converts the pre-version-2 update files into the unified feed:
+//
+//   node scripts/migrate_updates.js
+//   node scripts/migrate_updates.js --drop-first-sightings
+//
+// Reads data/updates.json (if it is still a bare array of platform records) and
+// data/policy-updates.json, writes the combined feed to data/updates.json and
+// removes data/policy-updates.json. Also copies every update in the feed into
+// the monthly history under data/history/. Safe to run more than once.
+//
+// Legacy records that were really a document's first sighting rather than a
+// change are left out as they are converted. For a feed converted before that,
+// --drop-first-sightings takes them out of the feed and history once; don't
+// repeat it, as the next legacy record would then look like the first sighting.
+// capture_baselines.js gives those documents a baseline profile instead.
+
+const USAGE = 'Usage: node scripts/migrate_updates.js [--drop-first-sightings]';
+
+function readLegacy(file) {
+    if (!fs.existsSync(file)) return null;
+    const records = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(records) ? records : null;
+}
+
+function reportBaselines(baselines) {
+    for (const update of baselines) {
+        console.log(`  ℹ️  Left out "${update.title}" (${update.id}): first sighting of ${update.document_id}, not a change`);
+    }
+}
+
+function main(args) {
+    if (args.some(arg => arg !== '--drop-first-sightings')) {
+        console.error(USAGE);
+        process.exitCode = 2;
+        return;
+    }
+    const registry = loadSources();
+    const platformRecords = readLegacy(UPDATES_PATH);
+    const policyRecords = readLegacy(LEGACY_POLICY_UPDATES_PATH);
+
+    if (!platformRecords && !policyRecords) {
+        const feed = loadUpdates();
+        addToHistory(feed.updates);
+        if (args.includes('--drop-first-sightings')) {
+            const baselines = legacyBaselines(readHistory());
+            reportBaselines(baselines);
+            const ids = new Set(baselines.map(update => update.id));
+            feed.updates = feed.updates.filter(update => !ids.has(update.id));
+            saveUpdates(feed);
+            removeFromHistory(ids);
+        }
+        console.log(`${UPDATES_PATH} is already up to date; ${feed.updates.length} update(s) present in ${HISTORY_DIR}.`);
+        return;
+    }
+
+    const existing = platformRecords ? undefined : loadUpdates();
+    const { feed, dropped, baselines } = migrateUpdates(registry, { platformRecords: platformRecords || [], policyRecords: policyRecords || [], existing });
+
+    for (const record of dropped) {
+        console.log(`  ℹ️  Dropped "${record.title}" (${record.platform || record.source}): no matching source document`);
+    }
+    reportBaselines(baselines);
+    saveUpdates(feed);
+    addToHistory(feed.updates);
+    if (policyRecords) fs.unlinkSync(LEGACY_POLICY_UPDATES_PATH);
+
+    console.log(`Migrated ${feed.updates.length} update(s) into ${UPDATES_PATH} and ${HISTORY_DIR}.`);
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const net = require('net');
+const http = require('http');
+const path = require('path');
+
+// Local SMTP sink and webhook receiver, so notifications can be tried end to
+// end without a mail relay or a real Teams channel:
+//
+//   node scripts/mock_notification_sink.js
+//   SMTP_HOST=localhost TEAMS_WEBHOOK_URL=http://localhost:8788/teams ... \
+//     NOTIFICATIONS_CONFIG=my-local-settings.json node scripts/notify.js
+//
+// SMTP listens on SMTP_PORT (2525), webhooks on HTTP_PORT (8788). Every message
+// and webhook body is printed, and also written to MOCK_SINK_DIR if that is set.
+// Set MOCK_SINK_FAIL=1 to reject everything.
+
+const smtpPort = Number(process.env.SMTP_PORT) || 2525;
+const httpPort = Number(process.env.HTTP_PORT) || 8788;
+const outputDir = process.env.MOCK_SINK_DIR;
+let received = 0;
+
+function record(kind, content) {
+    received++;
+    console.log(`--- ${kind} #${received} ---\n${content}\n`);
+    if (outputDir) {
+        fs.mkdirSync(outputDir, { recursive: true });
+        fs.writeFileSync(path.join(outputDir, `${String(received).padStart(4, '0')}-${kind}.txt`), content);
+    }
+}
+
+// Decodes the base64 body so the printed mail is readable
+function readableMail(data) {
+    const [headers, ...rest] = data.split('\r\n\r\n');
+    const body = rest.join('\r\n\r\n');
+    return /Content-Transfer-Encoding: base64/i.test(headers)
+        ? `${headers}\r\n\r\n${Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8')}`
+        : data;
+}
+
+const smtp = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let envelope = { from: null, to: [] };
+    const reply = line => socket.write(`${line}\r\n`);
+
+    reply('220 localhost mock SMTP sink');
+    socket.on('data', chunk => {
+        buffer += chunk.toString('utf8');
+        while (true) {
+            if (inData) {
+                const end = buffer.indexOf('\r\n.\r\n');
+                if (end === -1) return;
+                const data = buffer.slice(0, end).replace(/^\.\./gm, '.');
+                buffer = buffer.slice(end + 5);
+                inData = false;
+                if (process.env.MOCK_SINK_FAIL) {
+                    reply('554 Mock failure requested');
+                } else {
+                    record('mail', `MAIL FROM: ${envelope.from}\nRCPT TO: ${envelope.to.join(', ')}\n\n${readableMail(data)}`);
+                    reply('250 OK: queued');
+                }
+                envelope = { from: null, to: [] };
+                continue;
+            }
+
+            const end = buffer.indexOf('\r\n');
+            if (end === -1) return;
+            const line = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            const verb = line.split(' ')[0].toUpperCase();
+
+            if (verb === 'EHLO' || verb === 'HELO') {
+                reply('250-localhost');
+                reply('250 AUTH PLAIN LOGIN');
+            } else if (verb === 'AUTH') {
+                reply('235 Authentication successful');
+            } else if (verb === 'MAIL') {
+                envelope.from = line.slice(10);
+                reply('250 OK');
+            } else if (verb === 'RCPT') {
+                envelope.to.push(line.slice(8));
+                reply('250 OK');
+            } else if (verb === 'DATA') {
+                inData = true;
+                reply('354 End data with <CR><LF>.<CR><LF>');
+            } else if (verb === 'QUIT') {
+                reply('221 Bye');
+                socket.end();
+                return;
+            } else {
+                reply('250 OK');
+            }
+        }
+    });
+    socket.on('error', () => {});
+});
+
+const receiver = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => data += chunk);
+    req.on('end', () => {
+        if (process.env.MOCK_SINK_FAIL) {
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Mock failure requested');
+            return;
+        }
+        const signature = req.headers['x-ai-steward-signature'];
+        record('webhook', `${req.method} ${req.url}${signature ? `\nX-AI-Steward-Signature: ${signature}` : ''}\n\n${data}`);
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('1');
+    });
+});
+
+smtp.listen(smtpPort, () => console.log(`Mock SMTP sink listening on localhost:${smtpPort}`));
+receiver.listen(httpPort, () => console.log(`Mock webhook receiver listening on http://localhost:${httpPort}`));
@@ -0,0 +1,87 @@
+const http = require('http');
+const { fakeAnalysis } = require('./lib/summariser');
+
+// Local stand-in for the summariser APIs, so the whole pipeline can run without
+// real keys. Start it, then point the checkers at it:
+//
+//   node scripts/mock_summariser_server.js
+//   SUMMARISER_PROVIDER=gemini SUMMARISER_API_KEY=test SUMMARISER_BASE_URL=http://localhost:8787 node scripts/check_platforms.js
+//   SUMMARISER_PROVIDER=openai SUMMARISER_BASE_URL=http://localhost:8787/v1 node scripts/check_platforms.js
+//
+// Replies are deterministic JSON analyses made by the fake provider in
+// summariser.js, which quotes the changed passages in the prompt.
+// Set MOCK_SUMMARISER_FAIL=1 to make every request fail with HTTP 500.
+// Set MOCK_SUMMARISER_INVALID=1 to quote text that isn't in the document, or
+// MOCK_SUMMARISER_INVALID=first to do that only until the summariser retries.
+
+const port = Number(process.env.PORT) || 8787;
+
+function mockSummary(model, prompt) {
+    const analysis = fakeAnalysis(prompt);
+    const retry = prompt.includes('Your previous reply was rejected');
+    const invalid = process.env.MOCK_SUMMARISER_INVALID === 'first' ? !retry : Boolean(process.env.MOCK_SUMMARISER_INVALID);
+
+    analysis.headline = `Mock summary from ${model}: ${analysis.headline}`;
+    if (invalid) {
+        analysis.changes = [{ description: 'Invented passage', quote: 'This sentence does not appear in the document.', section: null }];
+    }
+    return JSON.stringify(analysis);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => data += chunk);
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, `http://localhost:${port}`);
+    let body;
+    try {
+        body = JSON.parse(await readBody(req) || '{}');
+    } catch (error) {
+        send(res, 400, { error: { message: 'Request body is not JSON' } });
+        return;
+    }
+
+    console.log(`${req.method} ${pathname}`);
+
+    if (process.env.MOCK_SUMMARISER_FAIL) {
+        send(res, 500, { error: { message: 'Mock failure requested' } });
+        return;
+    }
+
+    const gemini = pathname.match(/^\/v1beta\/models\/([^:]+):generateContent$/);
+    if (req.method === 'POST' && gemini) {
+        const prompt = (body.contents || []).flatMap(content => content.parts || []).map(part => part.text || '').join('\n');
+        send(res, 200, {
+            candidates: [{ content: { parts: [{ text: mockSummary(decodeURIComponent(gemini[1]), prompt) }], role: 'model' } }]
+        });
+        return;
+    }
+
+    if (req.method === 'POST' && /\/chat\/completions$/.test(pathname)) {
+        const prompt = (body.messages || []).map(message => message.content || '').join('\n');
+        send(res, 200, {
+            id: 'mock-completion',
+            object: 'chat.completion',
+            model: body.model,
+            choices: [{ index: 0, message: { role: 'assistant', content: mockSummary(body.model, prompt) }, finish_reason: 'stop' }]
+        });
+        return;
+    }
+
+    send(res, 404, { error: { message: `No mock route for ${req.method} ${pathname}` } });
+});
+
+server.listen(port, () => {
+    console.log(`Mock summariser listening on http://localhost:${port}`);
+});
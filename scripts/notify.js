@@ -0,0 +1,27 @@
+const { runNotifications } = require('./lib/notify');
+
+// Sends any notifications that are due: digests whose period has passed and
+// immediate updates that failed to go out earlier. The checkers already do this
+// after each run; schedule this on its own to get digests on time.
+//
+//   node scripts/notify.js             send
+//   node scripts/notify.js --dry-run   show what would be sent, change nothing
+
+const USAGE = 'Usage: node scripts/notify.js [--dry-run]';
+
+async function main(args) {
+    const unknown = args.filter(arg => arg !== '--dry-run');
+    if (unknown.length) {
+        console.error(USAGE);
+        process.exitCode = 2;
+        return;
+    }
+
+    const results = await runNotifications({ dryRun: args.includes('--dry-run') });
+    if (results.some(result => result.error)) process.exitCode = 1;
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
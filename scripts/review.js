@@ -0,0 +1,105 @@
+const { REVIEW_STATES, loadReview, loadReviewIndex, recordReview, reviewStateOf } = require('./lib/reviews');
+const { readHistory } = require('./lib/history');
+
+// Triage updates from the command line (the "Review an update" workflow runs
+// this with the GitHub user who triggered it as --by):
+//
+//   node scripts/review.js list [--state in-review]     updates and their review state
+//   node scripts/review.js show chatgpt-terms-v4        state, notes and full history
+//   node scripts/review.js set chatgpt-terms-v4 --by "Sam" --state actioned --note "Updated guidance"
+//
+// Blank options are ignored, so a workflow can pass every field; --assignee -
+// unassigns.
+
+const USAGE = `Usage:
+  node scripts/review.js list [--state <${REVIEW_STATES.join('|')}>]
+  node scripts/review.js show <update-id>
+  node scripts/review.js set <update-id> --by <name> [--state <state>] [--assignee <name>|-] [--note <text>]`;
+
+const OPTIONS = ['by', 'state', 'assignee', 'note'];
+
+function parseArgs(args) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        const match = args[i].match(/^--([a-z]+)$/);
+        if (!match) {
+            positional.push(args[i]);
+            continue;
+        }
+        if (!OPTIONS.includes(match[1]) || i + 1 >= args.length) return null;
+        const value = args[++i].trim();
+        if (value) options[match[1]] = value;
+    }
+    return { positional, options };
+}
+
+function listReviews(state) {
+    const index = loadReviewIndex();
+    const updates = readHistory().filter(update => !state || reviewStateOf(index, update.id) === state);
+    if (!updates.length) {
+        console.log(state ? `No updates are ${state}.` : 'No updates yet.');
+        return;
+    }
+    for (const update of updates) {
+        const review = index.reviews[update.id] || {};
+        console.log(`${reviewStateOf(index, update.id).padEnd(13)} ${(review.assignee || '-').padEnd(16)} ${update.id.padEnd(40)} ${update.title}`);
+    }
+}
+
+function showReview(updateId) {
+    const review = loadReview(updateId);
+    if (!review) {
+        console.log(`${updateId}: new (not reviewed yet)`);
+        return;
+    }
+    console.log(`${updateId}: ${review.state}${review.assignee ? `, assigned to ${review.assignee}` : ''}${review.resolvedAt ? `, resolved ${review.resolvedAt}` : ''}`);
+    console.log('');
+    for (const entry of review.history) {
+        const parts = [];
+        if (entry.changes.state) parts.push(`state ${entry.changes.state.from} → ${entry.changes.state.to}`);
+        if (entry.changes.assignee) parts.push(`assignee ${entry.changes.assignee.from || '-'} → ${entry.changes.assignee.to || '-'}`);
+        if (entry.changes.note) parts.push(`note: ${entry.changes.note}`);
+        console.log(`${entry.at}  ${entry.by}: ${parts.join('; ')}`);
+    }
+}
+
+function setReview(updateId, options) {
+    if (!readHistory().some(update => update.id === updateId)) {
+        throw new Error(`No update with id "${updateId}"`);
+    }
+    const review = recordReview(updateId, {
+        by: options.by,
+        state: options.state,
+        assignee: options.assignee === '-' ? null : options.assignee,
+        note: options.note
+    });
+    console.log(`✅ ${updateId} is now ${review.state}${review.assignee ? `, assigned to ${review.assignee}` : ''}`);
+}
+
+function main(args) {
+    const parsed = parseArgs(args);
+    const [command, updateId] = parsed ? parsed.positional : [];
+
+    switch (command) {
+        case 'list':
+            if (parsed.options.state && !REVIEW_STATES.includes(parsed.options.state)) break;
+            return listReviews(parsed.options.state);
+        case 'show':
+            if (!updateId) break;
+            return showReview(updateId);
+        case 'set':
+            if (!updateId) break;
+            return setReview(updateId, parsed.options);
+    }
+
+    console.error(USAGE);
+    process.exitCode = 2;
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+}
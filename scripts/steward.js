@@ -0,0 +1,341 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KINDS, checkPlatforms, checkPolicies } = require('./lib/checks');
+const { SOURCES_PATH, loadSources, validateSources } = require('./lib/sources');
+const { loadStatus } = require('./lib/status');
+const { readHistory } = require('./lib/history');
+const { listVersions, readVersion } = require('./lib/archive');
+const { diffSnapshots, formatDiff } = require('./lib/diff');
+const { stopCassette, useCassette } = require('./lib/cassette');
+const { setClock } = require('./lib/clock');
+const { loadReviewIndex } = require('./lib/reviews');
+const { loadFeedConfig } = require('./lib/feeds');
+const { FORMATS, REPORTS_DIR, buildReport, resolvePeriod, writeReport } = require('./lib/report');
+
+// One command line for running and inspecting the tracker:
+//
+//   node scripts/steward.js check                              every source, as the workflows do
+//   node scripts/steward.js check --source oaic --dry-run      debug one agency without touching data/
+//   node scripts/steward.js check --replay fixtures/run        rerun recorded responses offline
+//   node scripts/steward.js status                             health of every document from the last runs
+//   node scripts/steward.js history openai                     updates recorded for a source
+//   node scripts/steward.js diff claude-terms 2 latest         changes between two archived versions
+//   node scripts/steward.js report 2025-Q3                     the committee's briefing pack for a quarter
+//   node scripts/steward.js sources validate                   check data/sources.json
+//
+// --json prints a machine-readable result on stdout instead (progress goes
+// to stderr). check_platforms.js and check_policies.js are shorthands for
+// `check --kind platforms` and `check --kind policies`.
+//
+// check --record <dir> saves every HTTP response the run gets (pages, files,
+// robots.txt, summariser replies) to a cassette directory, and --replay <dir>
+// answers every request from one instead of the network, with the clock fixed
+// at the time of the recording; --clock <time> sets it explicitly. See
+// lib/cassette.js. Neither sends notifications, and a replay writes to a copy
+// of data/ in a temporary directory, never to data/ itself.
+
+const USAGE = `Usage:
+  node scripts/steward.js check [--kind ${Object.keys(KINDS).join('|')}] [--source <source-id>] [--dry-run] [--json]
+      [--record <dir> | --replay <dir>] [--clock <time>]
+  node scripts/steward.js status [--json]
+  node scripts/steward.js history <source-id|document-id> [--json]
+  node scripts/steward.js diff <source-id|document-id> <from-version> <to-version> [--json]
+  node scripts/steward.js report [<month>|<quarter> | --from <date> --to <date>] [--out <dir>] [--format ${FORMATS.join(',')}] [--json]
+  node scripts/steward.js sources validate [--json]
+
+Versions can be a number, "latest", a hash prefix or a date/time. Reports
+cover a month (2025-07), a quarter (2025-Q3) or a date range, and default to
+last month.
+Exit codes: 0 ok, 1 error, 2 bad usage, 3 some documents failed (check, status)
+or the registry is invalid (sources validate).`;
+
+const EXIT = { OK: 0, ERROR: 1, USAGE: 2, FAILED: 3 };
+
+const FLAGS = ['dry-run', 'json'];
+const OPTIONS = ['kind', 'source', 'record', 'replay', 'clock', 'from', 'to', 'out', 'format'];
+
+// How long without a successful check before a document counts as stale
+const FREQUENCY_HOURS = { hourly: 1, daily: 24, weekly: 168 };
+const STALE_AFTER_PERIODS = 2;
+
+function parseArgs(args) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        const match = args[i].match(/^--([a-z-]+)$/);
+        if (!match) {
+            positional.push(args[i]);
+        } else if (FLAGS.includes(match[1])) {
+            options[match[1]] = true;
+        } else if (OPTIONS.includes(match[1]) && i + 1 < args.length) {
+            options[match[1]] = args[++i];
+        } else {
+            return null;
+        }
+    }
+    return { positional, options };
+}
+
+function usageError(message) {
+    const error = new Error(message);
+    error.exitCode = EXIT.USAGE;
+    return error;
+}
+
+async function check(options) {
+    const registry = loadSources();
+    let kinds = options.kind ? [options.kind] : Object.keys(KINDS);
+    if (options.source) {
+        const source = registry.sources.find(candidate => candidate.id === options.source);
+        if (!source) throw usageError(`No source with id "${options.source}"`);
+        kinds = kinds.filter(kind => KINDS[kind] === source.category);
+        if (!kinds.length) throw usageError(`${source.id} is a ${source.category} source, not ${options.kind}`);
+    }
+    if (options.record && options.replay) throw usageError('Give either --record or --replay, not both');
+    if (options.clock && Number.isNaN(Date.parse(options.clock))) throw usageError(`Invalid clock time "${options.clock}"`);
+
+    const reports = [];
+    const cwd = process.cwd();
+    let dataDir = null;
+    try {
+        if (options.record) useCassette('record', options.record);
+        if (options.replay) useCassette('replay', options.replay);
+        if (options.clock) setClock(options.clock);
+        // Every data/ path is relative to the working directory, so a replay runs
+        // from a copy of it and leaves the tracked data alone
+        if (options.replay && !options['dry-run']) {
+            const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-steward-replay-'));
+            fs.cpSync('data', path.join(workDir, 'data'), { recursive: true });
+            process.chdir(workDir);
+            dataDir = path.join(workDir, 'data');
+        }
+
+        for (const kind of kinds) {
+            const checkKind = kind === 'platforms' ? checkPlatforms : checkPolicies;
+            reports.push(await checkKind({ sourceId: options.source, dryRun: Boolean(options['dry-run']) }));
+        }
+    } finally {
+        process.chdir(cwd);
+        stopCassette();
+        setClock(null);
+    }
+
+    const documents = reports.flatMap(report => report.documents);
+    const failed = documents.filter(document => document.outcome === 'error');
+    const updates = documents.flatMap(document => document.updates);
+    const result = { dryRun: Boolean(options['dry-run']), dataDir, updates, failed: failed.length, reports };
+
+    const counts = {};
+    documents.forEach(document => counts[document.outcome] = (counts[document.outcome] || 0) + 1);
+    const lines = [
+        `Checked ${documents.length} document(s): ${Object.entries(counts).map(([outcome, count]) => `${count} ${outcome}`).join(', ') || 'none'}`,
+        ...updates.map(id => `  📢 ${options['dry-run'] ? 'would create' : 'created'} ${id}`),
+        ...failed.map(document => `  ❌ ${document.documentId}: ${document.error}`),
+        ...(dataDir ? [`  📁 Replayed run wrote to ${dataDir} (data/ is unchanged)`] : [])
+    ];
+    return { result, lines, exitCode: failed.length ? EXIT.FAILED : EXIT.OK };
+}
+
+// Registry documents plus any files found on their pages, with the state the
+// dashboard would show for each
+function status() {
+    const registry = loadSources();
+    const { updatedAt, documents: entries } = loadStatus();
+    const now = Date.now();
+    const documents = [];
+
+    for (const source of registry.sources) {
+        const staleMs = (FREQUENCY_HOURS[source.checkFrequency] || 24) * STALE_AFTER_PERIODS * 60 * 60 * 1000;
+        const ids = source.documents.map(document => document.id);
+        const linked = Object.keys(entries).filter(id => entries[id].sourceId === source.id && !ids.includes(id));
+
+        for (const id of ids.concat(linked)) {
+            const entry = entries[id] || {};
+            let state = 'ok';
+            if (!entry.lastAttempt) state = 'never-checked';
+            else if (entry.error) state = 'failing';
+            else if (!entry.lastSuccess || now - new Date(entry.lastSuccess).getTime() > staleMs) state = 'stale';
+
+            documents.push({
+                sourceId: source.id,
+                documentId: id,
+                url: entry.url || (source.documents.find(document => document.id === id) || {}).url,
+                state,
+                lastAttempt: entry.lastAttempt || null,
+                lastSuccess: entry.lastSuccess || null,
+                httpStatus: entry.httpStatus || null,
+                consecutiveFailures: entry.consecutiveFailures || 0,
+                error: entry.error || null
+            });
+        }
+    }
+
+    const failing = documents.filter(document => document.state === 'failing');
+    const lines = [
+        `Last run: ${updatedAt || 'never'}`,
+        ...documents.map(document => `${document.state.padEnd(14)} ${document.documentId.padEnd(40)} ${(document.lastSuccess || '-').padEnd(24)} ${document.error || ''}`.trimEnd())
+    ];
+    return { result: { updatedAt, documents }, lines, exitCode: failing.length ? EXIT.FAILED : EXIT.OK };
+}
+
+function history(id) {
+    const registry = loadSources();
+    const known = registry.sources.some(source => source.id === id || source.documents.some(document => document.id === id));
+    const updates = readHistory().filter(update => update.source_id === id || update.document_id === id);
+    if (!known && !updates.length) throw usageError(`No source or document with id "${id}"`);
+
+    const lines = updates.length
+        ? updates.map(update => `${update.timestamp.slice(0, 10)}  ${update.severity.padEnd(8)} ${update.id.padEnd(40)} ${update.title}`)
+        : [`No updates recorded for ${id}.`];
+    return { result: updates, lines, exitCode: EXIT.OK };
+}
+
+// A document id, or a source id when the source has just one document
+function archivedDocument(id) {
+    if (listVersions(id).length) return id;
+    const source = loadSources().sources.find(candidate => candidate.id === id);
+    if (!source) throw usageError(`No source or archived document with id "${id}"`);
+    if (source.documents.length > 1) {
+        throw usageError(`${id} has ${source.documents.length} documents; give one of: ${source.documents.map(document => document.id).join(', ')}`);
+    }
+    return source.documents[0].id;
+}
+
+function diff(id, fromSpec, toSpec) {
+    const documentId = archivedDocument(id);
+    const from = readVersion(documentId, fromSpec);
+    const to = readVersion(documentId, toSpec);
+    const changes = diffSnapshots(from.text, to.text);
+
+    const describe = version => ({ version: version.version, capturedAt: version.capturedAt, hash: version.hash });
+    return {
+        result: { documentId, from: describe(from), to: describe(to), diff: changes },
+        lines: [
+            `--- ${documentId} v${from.version} (${from.capturedAt})`,
+            `+++ ${documentId} v${to.version} (${to.capturedAt})`,
+            changes.hunks.length ? formatDiff(changes) : 'No differences.'
+        ],
+        exitCode: EXIT.OK
+    };
+}
+
+// Writes the compliance report for a period (see lib/report.js)
+function report(spec, options) {
+    const formats = options.format ? options.format.split(',').map(format => format.trim()) : FORMATS;
+    const unknown = formats.filter(format => !FORMATS.includes(format));
+    if (unknown.length) throw usageError(`Unknown report format(s): ${unknown.join(', ')}; use ${FORMATS.join(', ')}`);
+
+    let period;
+    try {
+        period = resolvePeriod(spec, { from: options.from, to: options.to });
+    } catch (error) {
+        throw usageError(error.message);
+    }
+
+    const built = buildReport(readHistory(), loadSources(), loadReviewIndex(), period, { siteUrl: loadFeedConfig().siteUrl });
+    const files = writeReport(built, formats, options.out || REPORTS_DIR);
+    return {
+        result: { period, total: built.total, counts: built.counts, openActionItems: built.actionItems.length, files },
+        lines: [
+            `${built.title}: ${built.total} change(s), ${built.actionItems.length} open action item(s)`,
+            ...files.map(file => `  ✅ Wrote ${file}`)
+        ],
+        exitCode: EXIT.OK
+    };
+}
+
+function validateRegistry() {
+    let problems;
+    let registry = null;
+    try {
+        registry = JSON.parse(fs.readFileSync(SOURCES_PATH, 'utf8'));
+        problems = validateSources(registry);
+    } catch (error) {
+        problems = [`Could not read ${SOURCES_PATH}: ${error.message}`];
+    }
+
+    const documents = problems.length ? 0 : registry.sources.reduce((total, source) => total + source.documents.length, 0);
+    return {
+        result: { valid: !problems.length, problems },
+        lines: problems.length
+            ? [`❌ ${SOURCES_PATH} has ${problems.length} problem(s):`, ...problems.map(problem => `  ${problem}`)]
+            : [`✅ ${SOURCES_PATH} is valid (${registry.sources.length} sources, ${documents} documents)`],
+        exitCode: problems.length ? EXIT.FAILED : EXIT.OK
+    };
+}
+
+async function dispatch(positional, options) {
+    const [command, ...rest] = positional;
+    switch (command) {
+        case 'check':
+            if (rest.length || (options.kind && !KINDS[options.kind])) break;
+            return check(options);
+        case 'status':
+            if (rest.length) break;
+            return status();
+        case 'history':
+            if (rest.length !== 1) break;
+            return history(rest[0]);
+        case 'diff':
+            if (rest.length !== 3) break;
+            return diff(...rest);
+        case 'report':
+            if (rest.length > 1) break;
+            return report(rest[0], options);
+        case 'sources':
+            if (rest.length !== 1 || rest[0] !== 'validate') break;
+            return validateRegistry();
+    }
+    return null;
+}
+
+// Runs a command and resolves to its exit code
+async function main(args) {
+    const parsed = parseArgs(args);
+    if (!parsed) {
+        console.error(USAGE);
+        return EXIT.USAGE;
+    }
+    const { positional, options } = parsed;
+
+    // Keep stdout for the JSON result; everything the checks log goes to stderr
+    const print = console.log;
+    if (options.json) console.log = console.error;
+
+    try {
+        const outcome = await dispatch(positional, options);
+        if (!outcome) {
+            console.error(USAGE);
+            return EXIT.USAGE;
+        }
+        if (options.json) {
+            print(JSON.stringify(outcome.result, null, 2));
+        } else {
+            outcome.lines.forEach(line => print(line));
+        }
+        return outcome.exitCode;
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        if (options.json) print(JSON.stringify({ error: error.message }, null, 2));
+        return error.exitCode || EXIT.ERROR;
+    } finally {
+        console.log = print;
+    }
+}
+
+function run(args) {
+    return main(args).then(code => {
+        process.exitCode = code;
+    });
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2));
+}
+
+module.exports = {
+    EXIT,
+    main,
+    run
+};
@@ -0,0 +1,70 @@
+// Offline support for the dashboard, registered by script.js. The page and its
+// scripts are saved on install, and everything the dashboard fetches from this
+// site (data/*.json, history shards, diffs, profiles) is fetched from the
+// network first and saved as it goes. When the network fails, or is too slow
+// and a saved copy exists, the saved copy is used - so on a flaky connection
+// the dashboard still opens, with the data from its last successful load.
+//
+// Everything is network-first, so a new version of the dashboard is picked up
+// on the next load; CACHE only needs a new name if SHELL changes. Every diff
+// and history shard opened would otherwise stay saved forever, so past
+// MAX_ENTRIES the least recently refreshed files are dropped (never SHELL).
+
+const CACHE = 'ai-steward-v1';
+const SHELL = ['./', 'index.html', 'style.css', 'script.js', 'markdown.js'];
+
+// How long to wait for the network before answering from the cache
+const NETWORK_TIMEOUT_MS = 4000;
+const MAX_ENTRIES = 200;
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+        .then(() => caches.open(CACHE))
+        .then(prune)
+        .then(() => self.clients.claim()));
+});
+
+// Keys come back in the order they were saved, and saving a file again moves
+// it to the end, so the first ones are the least recently refreshed
+async function prune(cache) {
+    const shell = new Set(SHELL.map(file => new URL(file, self.registration.scope).href));
+    const saved = (await cache.keys()).filter(request => !shell.has(request.url));
+    await Promise.all(saved.slice(0, Math.max(0, saved.length - MAX_ENTRIES)).map(request => cache.delete(request)));
+}
+
+// Filtered views (index.html?source=oaic) are the same page
+function cachedCopy(cache, request) {
+    if (request.mode !== 'navigate') return cache.match(request);
+    return cache.match(request, { ignoreSearch: true }).then(response => response || cache.match('./'));
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE);
+    const network = fetch(request).then(response => {
+        if (response.ok) cache.put(request, response.clone()).then(() => prune(cache));
+        return response;
+    });
+    // If the cache answers first, the network response still refreshes it for next time
+    network.catch(() => {});
+
+    const cached = await cachedCopy(cache, request);
+    if (!cached) return network;
+    const timeout = new Promise(resolve => setTimeout(() => resolve(cached), NETWORK_TIMEOUT_MS));
+    try {
+        return await Promise.race([network, timeout]);
+    } catch (error) {
+        return cached;
+    }
+}
+
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    // Only this site's own files; GitHub links and the like go straight to the network
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+    event.respondWith(networkFirst(event.request));
+});
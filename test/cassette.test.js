@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkPlatforms } = require('../scripts/lib/checks');
+const { stopCassette, useCassette } = require('../scripts/lib/cassette');
+const { setClock } = require('../scripts/lib/clock');
+const { parseRetryAfter } = require('../scripts/lib/fetcher');
+const { REPO, readJson, useDataDir } = require('./helpers/site');
+
+// Recorded runs against one platform's terms page (see fixtures/cassettes/README.md)
+const CASSETTES = path.join(__dirname, 'fixtures', 'cassettes');
+const SOURCE = {
+    id: 'example',
+    name: 'Example AI',
+    category: 'platform',
+    checkFrequency: 'daily',
+    owner: 'Tests',
+    documents: [{ id: 'example-terms', type: 'terms-of-service', url: 'https://www.example.com/terms' }]
+};
+
+process.env.SUMMARISER_PROVIDER = 'fake';
+
+async function replay(name) {
+    useCassette('replay', path.join(CASSETTES, name));
+    try {
+        const report = await checkPlatforms();
+        return report.documents[0];
+    } finally {
+        stopCassette();
+        setClock(null);
+    }
+}
+
+// Every file under dir, by relative path
+function snapshot(dir) {
+    const files = {};
+    const walk = relative => {
+        for (const entry of fs.readdirSync(path.join(dir, relative), { withFileTypes: true })) {
+            const name = path.join(relative, entry.name);
+            if (entry.isDirectory()) walk(name);
+            else files[name] = fs.readFileSync(path.join(dir, name), 'utf8');
+        }
+    };
+    walk('');
+    return files;
+}
+
+test.beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+});
+
+test('a footer-only change is no update, a change to the terms is one', async () => {
+    useDataDir([SOURCE]);
+
+    assert.equal((await replay('baseline')).outcome, 'baseline');
+
+    const footer = await replay('footer-change');
+    assert.equal(footer.outcome, 'unchanged');
+    assert.deepEqual(footer.updates, []);
+
+    const terms = await replay('terms-change');
+    assert.equal(terms.outcome, 'change');
+    assert.deepEqual(terms.updates, ['example-terms-v2']);
+
+    const [update] = readJson('data/updates.json').updates;
+    assert.equal(update.id, 'example-terms-v2');
+    // Stamped with the time of the recording, not of the replay
+    assert.equal(update.timestamp, '2026-03-03T09:00:00.000Z');
+});
+
+test('replaying the same cassettes writes the same files', async () => {
+    const runs = [];
+    for (let run = 0; run < 2; run++) {
+        const dir = useDataDir([SOURCE]);
+        for (const name of ['baseline', 'footer-change', 'terms-change']) await replay(name);
+        runs.push(snapshot(path.join(dir, 'data')));
+    }
+    assert.deepEqual(runs[1], runs[0]);
+});
+
+test('steward check --replay writes to a copy of data/', () => {
+    const dir = useDataDir([SOURCE]);
+    const before = snapshot(path.join(dir, 'data'));
+
+    const run = spawnSync(process.execPath, [path.join(REPO, 'scripts', 'steward.js'), 'check', '--replay', path.join(CASSETTES, 'baseline'), '--json'], {
+        cwd: dir,
+        env: { ...process.env, SUMMARISER_PROVIDER: 'fake' },
+        encoding: 'utf8',
+        timeout: 60000
+    });
+    assert.equal(run.status, 0, run.stderr);
+    const { dataDir } = JSON.parse(run.stdout);
+    try {
+        assert.notEqual(path.resolve(dataDir), path.join(dir, 'data'));
+        assert.ok(fs.existsSync(path.join(dataDir, 'archive', 'documents', 'example-terms.json')));
+        assert.deepEqual(snapshot(path.join(dir, 'data')), before);
+    } finally {
+        fs.rmSync(path.dirname(dataDir), { recursive: true, force: true });
+    }
+});
+
+test('Retry-After dates are measured against the run clock', () => {
+    setClock('2026-03-01T00:00:00Z');
+    try {
+        assert.equal(parseRetryAfter('Sun, 01 Mar 2026 00:00:30 GMT'), 30000);
+        assert.equal(parseRetryAfter('120'), 120000);
+    } finally {
+        setClock(null);
+    }
+});
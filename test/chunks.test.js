@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { changedChunks, chunkDocument } = require('../scripts/lib/chunks');
+const { diffSnapshots } = require('../scripts/lib/diff');
+
+const section = (heading, sentence, count) => `# ${heading}\n\n${Array.from({ length: count }, (_, i) => `${sentence} ${i}.`).join(' ')}`;
+
+test('small sections share a chunk and big ones are split at their headings', () => {
+    const text = [section('Privacy', 'We keep your data safe', 30), section('Training', 'We may train models on content', 30), '# Contact\n\nWrite to us.'].join('\n\n');
+    const chunks = chunkDocument(text, 200);
+
+    assert.ok(chunks.length >= 2);
+    assert.equal(chunks[0].heading, '# Privacy');
+    assert.ok(chunks.some(chunk => chunk.heading === '# Training'));
+    chunks.forEach(chunk => assert.ok(chunk.text.length <= 200 * 4));
+});
+
+test('changes are grouped by the chunk of the new text they fall in', () => {
+    const before = [section('Privacy', 'We keep your data safe', 30), section('Training', 'We may train models on content', 30)].join('\n\n');
+    const after = before.replace('We keep your data safe 3.', 'We sell your data 3.').replace('We may train models on content 4.', 'We will train AI models on all content 4.');
+    const units = changedChunks(after, diffSnapshots(before, after), 200);
+
+    assert.equal(units.length, 2);
+    assert.deepEqual(units.map(unit => unit.heading), ['# Privacy', '# Training']);
+    units.forEach(unit => assert.equal(unit.diff.stats.modified, 1));
+});
+
+test('a page whose text has gone empty still yields its removals', () => {
+    const before = section('Terms', 'You agree to these terms', 5);
+    const units = changedChunks('', diffSnapshots(before, ''));
+
+    assert.equal(units.length, 1);
+    assert.equal(units[0].heading, null);
+    assert.equal(units[0].text, '');
+    assert.ok(units[0].diff.stats.removed > 0);
+});
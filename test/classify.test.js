@@ -0,0 +1,66 @@
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyDiff, loadRules, validateRules } = require('../scripts/lib/classify');
+const { diffSnapshots } = require('../scripts/lib/diff');
+const { REPO, readJson } = require('./helpers/site');
+
+const RULES = path.join(REPO, 'data', 'rules.json');
+const rules = loadRules(RULES);
+
+const ARBITRATION = 'Disputes are resolved by arbitration administered by the ACDC under its rules, and you may bring claims only in your individual capacity.';
+const TRAINING = 'We do not use your content to train our models unless you opt in.';
+const LIABILITY = 'Our total liability to you is limited to the fees you paid in the 12 months before the claim.';
+const OFFSHORE = 'Your data may be stored and processed in the United States by our service providers.';
+const SHARING = 'We share usage data with partners who help us operate the service.';
+const DEADLINE = 'Agencies must publish a transparency statement by 2026-02-28.';
+const GUIDANCE = 'This policy sets out how agencies should use AI responsibly.';
+
+// Rule ids that fire when a terms page goes from before to after
+function firedRules(before, after, category = 'platform') {
+    return classifyDiff(diffSnapshots(`# Terms\n\n${before}`, `# Terms\n\n${after}`), category, rules).matched_rules.map(rule => rule.id);
+}
+
+test('the shipped rules are valid', () => {
+    assert.deepEqual(validateRules(readJson(RULES)), []);
+});
+
+test('typo fixes in a clause do not fire its rule', () => {
+    assert.deepEqual(firedRules(ARBITRATION.replace('administered', 'adminstered'), ARBITRATION), []);
+    assert.deepEqual(firedRules(ARBITRATION.replace('arbitration', 'arbitraton'), ARBITRATION), []);
+    assert.deepEqual(firedRules(TRAINING.replace('content', 'contnet'), TRAINING), []);
+    assert.deepEqual(firedRules(LIABILITY.replace('before', 'befor'), LIABILITY), []);
+    assert.deepEqual(firedRules(OFFSHORE.replace('stored', 'stred'), OFFSHORE), []);
+    assert.deepEqual(firedRules(SHARING.replace('operate', 'opperate'), SHARING), []);
+    assert.deepEqual(firedRules(DEADLINE.replace('publish', 'pubilsh'), DEADLINE, 'policy'), []);
+    assert.deepEqual(firedRules(GUIDANCE.replace('responsibly', 'responsbily'), GUIDANCE, 'policy'), []);
+});
+
+test('changes to the terms a clause turns on fire its rule', () => {
+    assert.deepEqual(firedRules(ARBITRATION, ARBITRATION.replace('resolved by arbitration', 'resolved by binding arbitration')), ['new-arbitration-clause']);
+    assert.deepEqual(firedRules(ARBITRATION, ARBITRATION.replace('only in your individual capacity', 'as part of a class action')), ['new-arbitration-clause']);
+    assert.deepEqual(firedRules(TRAINING, TRAINING.replace('do not use', 'use').replace(' unless you opt in', '')), ['training-on-user-data']);
+    assert.deepEqual(firedRules(LIABILITY, LIABILITY.replace('12 months', '3 months')), ['liability-terms-changed']);
+    assert.deepEqual(firedRules(OFFSHORE, OFFSHORE.replace('United States', 'United States and India')), ['offshore-processing']);
+    assert.deepEqual(firedRules(SHARING, SHARING.replace('usage data', 'personal information')), ['third-party-sharing']);
+    assert.deepEqual(firedRules(DEADLINE, DEADLINE.replace('2026-02-28', '2026-01-31'), 'policy'), ['aps-mandatory-requirement-deadline']);
+    assert.deepEqual(firedRules(GUIDANCE, GUIDANCE.replace('should', 'must'), 'policy'), ['new-ai-guidance']);
+});
+
+test('rules that inspect modified blocks must name changedTerms', () => {
+    const config = readJson(RULES);
+    delete config.rules.find(rule => rule.id === 'third-party-sharing').changedTerms;
+    assert.deepEqual(validateRules(config), [`$.rules[${config.rules.findIndex(rule => rule.id === 'third-party-sharing')}]: inspects modified blocks, so needs "changedTerms"`]);
+});
+
+test('clauses that are new or gone fire on their whole text', () => {
+    const result = classifyDiff(diffSnapshots('# Terms\n\nWelcome.', `# Terms\n\nWelcome.\n\n${ARBITRATION}`), 'platform', rules);
+    assert.equal(result.severity, 'high');
+    assert.deepEqual(result.matched_rules.map(rule => [rule.id, rule.change, rule.section]), [['new-arbitration-clause', 'added', 'Terms']]);
+
+    assert.deepEqual(firedRules(`Welcome.\n\n${LIABILITY}`, 'Welcome.'), ['liability-terms-changed']);
+});
+
+test('rules only apply to their categories', () => {
+    assert.deepEqual(firedRules(ARBITRATION, ARBITRATION.replace('resolved by arbitration', 'resolved by binding arbitration'), 'policy'), []);
+});
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { documentFormat, extractDocumentText } = require('../scripts/lib/extract');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'documents', name));
+
+const POLICY = [
+    '# Policy for the responsible use of AI in government',
+    'Agencies must publish an AI transparency statement within six months of this policy taking effect. The statement explains how the agency uses artificial intelligence and is reviewed every year.',
+    '# Accountable officials',
+    "Each agency's accountable official is the contact point for AI use. Updated 2025-07-01.",
+    '# Review',
+    'This policy is reviewed annually.'
+].join('\n\n') + '\n';
+
+test('linked files are recognised by extension or content type', () => {
+    assert.equal(documentFormat('https://www.example.gov.au/files/Policy.PDF'), 'pdf');
+    assert.equal(documentFormat('https://www.example.gov.au/download?id=4', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'), 'docx');
+    assert.equal(documentFormat('https://www.example.gov.au/policy', 'text/html'), null);
+});
+
+test('PDF text is read as paragraphs and headings across pages', () => {
+    assert.equal(extractDocumentText(fixture('policy.pdf'), 'pdf'), POLICY);
+});
+
+test('PDF text in an embedded font is mapped through its ToUnicode CMap', () => {
+    // Includes ligatures ("ff", "fi") mapped to more than one character
+    assert.equal(extractDocumentText(fixture('policy-embedded-font.pdf'), 'pdf'), POLICY);
+});
+
+// A one-page PDF showing `text` in a simple font with the given /Differences
+function pdfWithDifferences(differences, text) {
+    return Buffer.from([
+        '%PDF-1.4',
+        '1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj',
+        '2 0 obj << /Type /Pages /Kids [3 0 R] /Count 1 >> endobj',
+        '3 0 obj << /Type /Page /Parent 2 0 R /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >> endobj',
+        `4 0 obj << /Type /Font /Subtype /Type1 /BaseFont /ABCDEF+Body /Encoding << /Type /Encoding /Differences [${differences}] >> >> endobj`,
+        '5 0 obj << >>',
+        'stream',
+        `BT /F1 11 Tf 72 700 Td (${text}) Tj ET`,
+        'endstream',
+        'endobj',
+        'trailer << /Root 1 0 R >>',
+        '%%EOF'
+    ].join('\n'), 'latin1');
+}
+
+test('PDF text in a simple font is read through its /Differences', () => {
+    const pdf = pdfWithDifferences('65 /quoteright /fi 90 /uni2014 /one.oldstyle', 'WeAre Bne Z Thursday [ the [st');
+    assert.equal(extractDocumentText(pdf, 'pdf'), "We're fine - Thursday 1 the 1st\n");
+});
+
+test('PDF fonts whose text could only be guessed fail rather than archive glyph ids', () => {
+    // policy-embedded-font.pdf with its ToUnicode CMap taken out
+    assert.throws(() => extractDocumentText(fixture('policy-no-tounicode.pdf'), 'pdf'), /Font CZZZZZ\+DejaVuSans has no ToUnicode table/);
+    assert.throws(() => extractDocumentText(pdfWithDifferences('65 /g17', 'Policy A'), 'pdf'), /Font ABCDEF\+Body names a glyph "g17" with no known text/);
+});
+
+test('Word documents keep headings and list items and leave out deletions', () => {
+    assert.equal(extractDocumentText(fixture('statement.docx'), 'docx'), [
+        '# AI transparency statement',
+        'The agency uses generative AI for drafting & research.',
+        '# Commitments',
+        '- Staff review every AI output',
+        '- No personal information is entered into public AI tools',
+        'Outputs are checked by an officer before release.',
+        'Last updated 2025-07-01.'
+    ].join('\n\n') + '\n');
+});
+
+test('files without readable text fail rather than read as empty', () => {
+    assert.throws(() => extractDocumentText(Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\ntrailer << /Root 1 0 R /Encrypt 2 0 R >>\n'), 'pdf'), /Encrypted/);
+    assert.throws(() => extractDocumentText(Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\n%%EOF\n'), 'pdf'), /No text found/);
+    assert.throws(() => extractDocumentText(Buffer.from('<html>Not found</html>'), 'pdf'), /Not a PDF/);
+    assert.throws(() => extractDocumentText(fixture('policy.pdf'), 'docx'), /Not a zip archive/);
+});
@@ -0,0 +1,99 @@
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFeeds, loadFeedConfig, validateAtom, validateJsonFeed } = require('../scripts/lib/feeds');
+const { validateUpdate } = require('../scripts/lib/updates');
+const { REPO, readJson } = require('./helpers/site');
+
+const { updates } = readJson(path.join(__dirname, 'fixtures', 'updates.json'));
+const registry = readJson(path.join(REPO, 'data', 'sources.json'));
+const config = loadFeedConfig({ SITE_URL: 'https://tracker.example.gov.au' });
+
+function feedFiles(files = buildFeeds(updates, registry, config)) {
+    return Object.fromEntries(files.map(({ file, content }) => [file, content]));
+}
+
+function jsonFeed(files, key) {
+    return JSON.parse(files[`data/feeds/${key}.json`]);
+}
+
+test('the fixture updates are valid records', () => {
+    updates.forEach(update => assert.deepEqual(validateUpdate(update), [], update.id));
+});
+
+test('every feed is built in both formats', () => {
+    const files = feedFiles();
+    const keys = ['all', ...registry.sources.map(source => `sources/${source.id}`), 'severity/low', 'severity/medium', 'severity/high', 'severity/critical'];
+    assert.deepEqual(Object.keys(files).sort(), keys.flatMap(key => [`data/feeds/${key}.xml`, `data/feeds/${key}.json`]).sort());
+});
+
+test('feeds list their updates newest first, filtered by source and severity', () => {
+    const files = feedFiles();
+    const ids = key => jsonFeed(files, key).items.map(item => item.id.split('/update/')[1]);
+
+    assert.deepEqual(ids('all'), ['claude-terms-v3', 'oaic-news-v7-3', 'chatgpt-privacy-v2', 'claude-privacy-v2']);
+    assert.deepEqual(ids('sources/claude'), ['claude-terms-v3', 'claude-privacy-v2']);
+    assert.deepEqual(ids('sources/dta'), []);
+    assert.deepEqual(ids('severity/high'), ['claude-terms-v3', 'chatgpt-privacy-v2']);
+    assert.deepEqual(ids('severity/critical'), ['chatgpt-privacy-v2']);
+
+    const [item] = jsonFeed(files, 'all').items;
+    assert.equal(item.id, 'tag:thomas-amann-ipaustralia.github.io,2025:ai-steward-tracker/update/claude-terms-v3');
+    assert.equal(item.url, 'https://tracker.example.gov.au/#update-claude-terms-v3');
+    assert.equal(item.external_url, 'https://www.anthropic.com/terms');
+    assert.deepEqual(item.tags, ['platform', 'claude', 'terms-of-service', 'severity:high']);
+});
+
+test('Atom feeds escape summaries and pass validation', () => {
+    const atom = feedFiles()['data/feeds/all.xml'];
+    assert.match(atom, /<summary type="text">Arbitration now applies to consumer accounts &amp; disputes under \$10,000 &lt;unless you opt out&gt;\.<\/summary>/);
+    assert.match(atom, /^ {2}<updated>2026-03-04T09:00:00.000Z<\/updated>$/m);
+    assert.deepEqual(validateAtom(atom), []);
+});
+
+test('feeds are stamped from the data, so rebuilding changes nothing', () => {
+    assert.deepEqual(feedFiles(), feedFiles());
+    // An empty feed takes the newest update's time, not the build's
+    assert.equal(jsonFeed(feedFiles(), 'sources/dta').items.length, 0);
+    assert.match(feedFiles()['data/feeds/sources/dta.xml'], /<updated>2026-03-04T09:00:00.000Z<\/updated>/);
+});
+
+test('FEED_LIMIT caps the entries per feed', () => {
+    const files = feedFiles(buildFeeds(updates, registry, loadFeedConfig({ FEED_LIMIT: '2' })));
+    assert.equal(jsonFeed(files, 'all').items.length, 2);
+});
+
+test('validateAtom reports missing elements, bad nesting and unescaped ampersands', () => {
+    const problems = validateAtom([
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        '  <title>Tom & Jerry</title>',
+        '  <entry><id>tag:example,2026:1</id><title>One</title></entry>',
+        '  <entry><id>tag:example,2026:2</id><title>Two</summary></entry>'
+    ].join('\n'));
+    assert.deepEqual(problems, [
+        'entry 1: missing <updated>',
+        'unexpected </summary>',
+        'entry 2: missing <updated>',
+        'unclosed <feed>',
+        'feed: missing <id>',
+        'feed: missing <updated>',
+        'unescaped "&"'
+    ]);
+});
+
+test('validateJsonFeed reports schema problems and duplicate ids', () => {
+    const feed = jsonFeed(feedFiles(), 'all');
+    assert.deepEqual(validateJsonFeed(feed), []);
+
+    const broken = { ...feed, items: [feed.items[0], feed.items[0]] };
+    delete broken.title;
+    const problems = validateJsonFeed(broken);
+    assert.ok(problems.some(problem => /title/.test(problem)), problems.join('\n'));
+    assert.ok(problems.includes(`$.items[1].id: duplicate id "${feed.items[0].id}"`));
+});
+
+test('an invalid feed fails the build', () => {
+    const bad = [{ ...updates[0], timestamp: 'not a date' }];
+    assert.throws(() => buildFeeds(bad, registry, config), error => Array.isArray(error.problems) && error.problems.length > 0);
+});
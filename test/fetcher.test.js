@@ -0,0 +1,184 @@
+const zlib = require('zlib');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PRODUCT_TOKEN, fetchDocument } = require('../scripts/lib/fetcher');
+const { createScheduler } = require('../scripts/lib/scheduler');
+const { isAllowed, parseRobots, rulesFor } = require('../scripts/lib/robots');
+const { serve } = require('./helpers/site');
+
+// Retries here wait milliseconds, not seconds
+const FAST = { retryBaseDelay: 1, maxRetryDelay: 20 };
+
+let site;
+test.before(async () => {
+    site = await serve();
+});
+test.after(() => site.close());
+test.beforeEach(() => {
+    for (const route of Object.keys(site.routes)) delete site.routes[route];
+    site.requests.length = 0;
+});
+
+const hits = route => site.requests.filter(request => request.url === route).length;
+
+test('redirect chains are followed to the final page', async () => {
+    site.routes['/old'] = { status: 301, headers: { Location: '/moved' } };
+    site.routes['/moved'] = { status: 302, headers: { Location: `${site.url}/policy` } };
+    site.routes['/policy'] = '<p>Policy</p>';
+
+    const response = await fetchDocument(`${site.url}/old`);
+    assert.equal(response.url, `${site.url}/policy`);
+    assert.deepEqual(response.redirects, [`${site.url}/moved`, `${site.url}/policy`]);
+    assert.equal(response.body, '<p>Policy</p>');
+});
+
+test('redirect loops and overlong chains fail', async () => {
+    site.routes['/a'] = { status: 302, headers: { Location: '/b' } };
+    site.routes['/b'] = { status: 302, headers: { Location: '/a' } };
+    await assert.rejects(fetchDocument(`${site.url}/a`), /Redirect loop/);
+
+    for (let i = 1; i <= 4; i++) site.routes[`/hop${i}`] = { status: 307, headers: { Location: `/hop${i + 1}` } };
+    site.routes['/hop5'] = 'End';
+    await assert.rejects(fetchDocument(`${site.url}/hop1`, { maxRedirects: 2 }), /Too many redirects/);
+    assert.equal((await fetchDocument(`${site.url}/hop1`, { maxRedirects: 4 })).body, 'End');
+});
+
+test('a conditional GET answered 304 is not modified and has no body', async () => {
+    site.routes['/terms'] = (request, response) => {
+        if (request.headers['if-none-match'] === '"v1"') {
+            response.writeHead(304);
+            return response.end();
+        }
+        response.writeHead(200, { ETag: '"v1"', 'Last-Modified': 'Sun, 01 Mar 2026 00:00:00 GMT' });
+        response.end('Terms');
+    };
+
+    const first = await fetchDocument(`${site.url}/terms`);
+    assert.equal(first.notModified, false);
+    assert.equal(first.etag, '"v1"');
+
+    const second = await fetchDocument(`${site.url}/terms`, { conditional: { etag: first.etag, lastModified: first.lastModified } });
+    assert.equal(second.notModified, true);
+    assert.equal(second.body, null);
+    assert.equal(second.etag, '"v1"');
+    assert.equal(site.requests[1].headers['if-modified-since'], 'Sun, 01 Mar 2026 00:00:00 GMT');
+});
+
+test('Retry-After is honoured on 429 and 503, up to maxRetryDelay', async () => {
+    let attempts = 0;
+    site.routes['/busy'] = (request, response) => {
+        attempts++;
+        if (attempts === 1) {
+            response.writeHead(429, { 'Retry-After': '1' });
+            return response.end();
+        }
+        if (attempts === 2) {
+            // Far longer than maxRetryDelay, so capped
+            response.writeHead(503, { 'Retry-After': '3600' });
+            return response.end();
+        }
+        response.writeHead(200);
+        response.end('Done');
+    };
+
+    const started = Date.now();
+    const response = await fetchDocument(`${site.url}/busy`, { retryBaseDelay: 1, maxRetryDelay: 1500 });
+    const elapsed = Date.now() - started;
+    assert.equal(response.body, 'Done');
+    assert.equal(attempts, 3);
+    assert.ok(elapsed >= 2400 && elapsed < 10000, `waited ${elapsed}ms`);
+});
+
+test('retries give up with the last status, and client errors are not retried', async () => {
+    site.routes['/down'] = { status: 500 };
+    site.routes['/gone'] = { status: 404 };
+
+    await assert.rejects(fetchDocument(`${site.url}/down`, { ...FAST, retries: 2 }), error => error.statusCode === 500);
+    assert.equal(hits('/down'), 3);
+    await assert.rejects(fetchDocument(`${site.url}/gone`, FAST), error => error.statusCode === 404);
+    assert.equal(hits('/gone'), 1);
+});
+
+test('responses over maxBytes are refused, compressed or not', async () => {
+    const big = 'x'.repeat(50000);
+    site.routes['/big'] = big;
+    site.routes['/bomb'] = { headers: { 'Content-Encoding': 'gzip' }, body: zlib.gzipSync(big) };
+
+    await assert.rejects(fetchDocument(`${site.url}/big`, { maxBytes: 10000 }), /exceeds 10000 bytes/);
+    // Capped on the decompressed size, not what came over the wire
+    await assert.rejects(fetchDocument(`${site.url}/bomb`, { maxBytes: 10000 }), /exceeds 10000 bytes/);
+    assert.equal((await fetchDocument(`${site.url}/bomb`)).body, big);
+});
+
+test('robots.txt rules: our own group, longest match, wildcards', () => {
+    const groups = parseRobots([
+        'User-agent: *',
+        'Disallow: /',
+        '',
+        `User-agent: ${PRODUCT_TOKEN.toLowerCase()}`,
+        'User-agent: other-bot',
+        'Disallow: /private',
+        'Allow: /private/policies',
+        'Disallow: /*.pdf$',
+        'Crawl-delay: 5'
+    ].join('\n'));
+    const policy = rulesFor(groups, PRODUCT_TOKEN);
+
+    assert.equal(policy.crawlDelay, 5);
+    assert.equal(isAllowed(policy, 'https://example.gov.au/about'), true);
+    assert.equal(isAllowed(policy, 'https://example.gov.au/private/staff'), false);
+    assert.equal(isAllowed(policy, 'https://example.gov.au/private/policies/ai'), true);
+    assert.equal(isAllowed(policy, 'https://example.gov.au/files/report.pdf'), false);
+    assert.equal(isAllowed(policy, 'https://example.gov.au/files/report.pdf?download=1'), true);
+    // Anyone else falls under "*"
+    assert.equal(isAllowed(rulesFor(groups, 'SomeoneElse'), 'https://example.gov.au/about'), false);
+});
+
+test('percent-escapes are compared decoded, and malformed ones are left as they are', () => {
+    const policy = rulesFor(parseRobots('User-agent: *\nDisallow: /caf%C3%A9\nDisallow: /files/100%25\n'), PRODUCT_TOKEN);
+
+    assert.equal(isAllowed(policy, 'https://example.gov.au/café/menu'), false);
+    assert.equal(isAllowed(policy, 'https://example.gov.au/files/100%25%ZZ.pdf'), false);
+    assert.equal(isAllowed(policy, 'https://example.gov.au/files/%E0%A4%A.pdf'), true);
+});
+
+test('the scheduler skips pages robots.txt disallows and fetches the rest', async () => {
+    site.routes['/robots.txt'] = { headers: { 'Content-Type': 'text/plain' }, body: 'User-agent: *\nDisallow: /internal/\n' };
+    site.routes['/news'] = 'News';
+    site.routes['/internal/drafts'] = 'Drafts';
+
+    const scheduler = createScheduler({ concurrency: 2, perHost: 1, hostDelay: 0, respectRobots: true });
+    const urls = [`${site.url}/news`, `${site.url}/internal/drafts`];
+    const results = await scheduler.map(urls, url => url, url => fetchDocument(url));
+
+    assert.equal(results[0].value.body, 'News');
+    assert.match(results[1].error.message, /Blocked by robots.txt/);
+    assert.equal(hits('/internal/drafts'), 0);
+    assert.equal(hits('/robots.txt'), 1);
+});
+
+test('a missing robots.txt means no restrictions', async () => {
+    site.routes['/page'] = 'Page';
+    const scheduler = createScheduler({ concurrency: 1, perHost: 1, hostDelay: 0, respectRobots: true });
+    const [result] = await scheduler.map([`${site.url}/page`], url => url, url => fetchDocument(url));
+    assert.equal(result.value.body, 'Page');
+});
+
+test('reading robots.txt takes the host slot and delay like any other request', async () => {
+    const started = {};
+    const stamp = body => (request, response) => {
+        started[request.url] = Date.now();
+        response.writeHead(200, { 'Content-Type': 'text/plain' });
+        response.end(body);
+    };
+    site.routes['/robots.txt'] = stamp('User-agent: *\nAllow: /\n');
+    site.routes['/first'] = stamp('First');
+    site.routes['/second'] = stamp('Second');
+
+    const scheduler = createScheduler({ concurrency: 4, perHost: 1, hostDelay: 300, respectRobots: true });
+    await scheduler.map([`${site.url}/first`, `${site.url}/second`], url => url, url => fetchDocument(url));
+
+    assert.deepEqual(site.requests.map(request => request.url), ['/robots.txt', '/first', '/second']);
+    assert.ok(started['/first'] - started['/robots.txt'] >= 250, `robots.txt then the first page: ${started['/first'] - started['/robots.txt']}ms`);
+    assert.ok(started['/second'] - started['/first'] >= 250, `between pages: ${started['/second'] - started['/first']}ms`);
+});
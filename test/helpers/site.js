@@ -0,0 +1,65 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Shared by the tests that run the fetcher or a whole check against pages
+// served from this machine:
+//
+//   serve(routes)          a local HTTP server; routes maps a path to an HTML
+//                          string, a { status, headers, body } response or a
+//                          (request, response) handler, and can be changed
+//                          between requests
+//   useDataDir(sources)    moves the test into a fresh directory whose data/
+//                          holds a registry of those sources and the real rules.json,
+//                          removed again when the test process exits
+//
+// Each test file runs in its own process, so changing directory is safe.
+
+const REPO = path.join(__dirname, '..', '..');
+
+async function serve(routes = {}) {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        requests.push({ method: request.method, url: request.url, headers: request.headers });
+        const route = routes[request.url.split('?')[0]];
+        if (typeof route === 'function') return route(request, response);
+        if (route === undefined) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            return response.end('Not found');
+        }
+        const { status = 200, headers = {}, body = '' } = typeof route === 'string' ? { body: route } : route;
+        response.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+        response.end(body);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        routes,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// A registry with the real documentTypes and the sources given
+function useDataDir(sources) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-steward-test-'));
+    fs.mkdirSync(path.join(dir, 'data'));
+    const registry = JSON.parse(fs.readFileSync(path.join(REPO, 'data', 'sources.json'), 'utf8'));
+    fs.writeFileSync(path.join(dir, 'data', 'sources.json'), JSON.stringify({ ...registry, sources }, null, 2));
+    fs.copyFileSync(path.join(REPO, 'data', 'rules.json'), path.join(dir, 'data', 'rules.json'));
+    process.chdir(dir);
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = {
+    REPO,
+    readJson,
+    serve,
+    useDataDir
+};
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { addToHistory, loadHistoryIndex, readHistory, removeFromHistory } = require('../scripts/lib/history');
+const { readJson } = require('./helpers/site');
+
+const { updates } = readJson(path.join(__dirname, 'fixtures', 'updates.json'));
+
+function historyDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-steward-history-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('updates are kept in monthly shards, newest first', t => {
+    const root = historyDir(t);
+    addToHistory(updates, root);
+
+    assert.deepEqual(loadHistoryIndex(root).months.map(({ month, count }) => ({ month, count })), [{ month: '2026-03', count: 2 }, { month: '2026-02', count: 2 }]);
+    assert.deepEqual(readHistory(root).map(update => update.id), ['claude-terms-v3', 'oaic-news-v7-3', 'chatgpt-privacy-v2', 'claude-privacy-v2']);
+});
+
+test('the index only changes when the months it lists do', t => {
+    const root = historyDir(t);
+    addToHistory(updates, root);
+    const index = fs.readFileSync(path.join(root, 'index.json'), 'utf8');
+
+    addToHistory([updates[0]], root);
+    assert.equal(fs.readFileSync(path.join(root, 'index.json'), 'utf8'), index);
+    assert.equal('updatedAt' in JSON.parse(index), false);
+});
+
+test('removing the last update of a month drops the month', t => {
+    const root = historyDir(t);
+    addToHistory(updates, root);
+
+    assert.equal(removeFromHistory(['chatgpt-privacy-v2', 'claude-privacy-v2'], root), 2);
+    assert.deepEqual(loadHistoryIndex(root).months.map(entry => entry.month), ['2026-03']);
+    assert.equal(fs.existsSync(path.join(root, '2026-02.json')), false);
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isListingText, listingText, newItems, readListing } = require('../scripts/lib/listing');
+const { checkPolicies } = require('../scripts/lib/checks');
+const { readJson, serve, useDataDir } = require('./helpers/site');
+
+const row = (href, title, date) => `<div class="views-row"><h3><a href="${href}">${title}</a></h3><time datetime="${date}">${date}</time></div>`;
+const page = rows => `<html><body><h1>News</h1>${rows.join('')}<footer>Contact us</footer></body></html>`;
+
+test('index pages are read as items with resolved links', () => {
+    const html = page([row('/news/ai-plan', 'National AI plan', '2026-03-03'), row('/news/ai-plan#top', 'National AI plan', '2026-03-03'), row('javascript:void(0)', 'Menu', '2026-03-01')]);
+    const items = readListing(html, { url: 'https://www.industry.gov.au/news', listing: { item: '.views-row' } });
+
+    assert.deepEqual(items, [{ title: 'National AI plan', url: 'https://www.industry.gov.au/news/ai-plan', date: '2026-03-03' }]);
+    assert.equal(listingText(items), '- 2026-03-03 National AI plan <https://www.industry.gov.au/news/ai-plan>\n');
+});
+
+test('a listing with no linked items is an error, not an empty listing', () => {
+    const document = { url: 'https://www.industry.gov.au/news', listing: { item: '.views-row' } };
+    assert.throws(() => readListing(page([row('javascript:void(0)', 'Menu', '2026-03-01'), row('mailto:news@example.gov.au', 'Contact', '2026-03-01')]), document), /Listing items "\.views-row" have no http\(s\) links/);
+    assert.throws(() => readListing(page([]), document), /matched nothing/);
+});
+
+test('only links missing from the previous listing are new', () => {
+    const previous = listingText([{ title: 'Old', url: 'https://example.gov.au/old', date: null }]);
+    const items = [{ title: 'Old', url: 'https://example.gov.au/old', date: null }, { title: 'New', url: 'https://example.gov.au/new', date: null }];
+
+    assert.deepEqual(newItems(items, previous).map(item => item.title), ['New']);
+});
+
+test('archived page text is not mistaken for a listing', () => {
+    assert.equal(isListingText(listingText([{ title: 'Item', url: 'https://example.gov.au/item', date: '2026-01-02' }])), true);
+    assert.equal(isListingText('# News\n\nLatest news from the department.\n\n- A bullet point'), false);
+    assert.equal(isListingText(''), false);
+});
+
+test('a listing added to an already-tracked page starts from a silent baseline', async t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    process.env.CHECK_HOST_DELAY_MS = '0';
+    process.env.SUMMARISER_PROVIDER = 'fake';
+
+    const rows = [
+        row('/news/ai-guidance', 'New guidance on artificial intelligence', '2026-03-03'),
+        row('/news/budget', 'Budget statement', '2026-03-02')
+    ];
+    const site = await serve({ '/news': page(rows), '/news/ai-guidance': '<p>Guidance on artificial intelligence.</p>', '/news/budget': '<p>Budget.</p>' });
+    t.after(site.close);
+
+    const document = { id: 'example-news', type: 'news', url: `${site.url}/news` };
+    const source = { id: 'example', name: 'Example agency', category: 'policy', checkFrequency: 'daily', owner: 'Tests', documents: [document] };
+    useDataDir([source]);
+
+    // First tracked as page text, then given a listing
+    const first = await checkPolicies();
+    assert.equal(first.documents[0].outcome, 'baseline');
+
+    document.listing = { item: '.views-row' };
+    fs.writeFileSync('data/sources.json', JSON.stringify({ ...readJson('data/sources.json'), sources: [source] }, null, 2));
+    const second = await checkPolicies();
+    assert.equal(second.documents[0].outcome, 'baseline');
+    assert.deepEqual(second.documents[0].updates, []);
+
+    // From then on, only items added to the page are reported
+    site.routes['/news'] = page([row('/news/ai-strategy', 'AI strategy released', '2026-03-04'), ...rows]);
+    site.routes['/news/ai-strategy'] = '<p>The artificial intelligence strategy.</p>';
+    const third = await checkPolicies();
+    assert.equal(third.documents[0].outcome, 'new-items');
+    assert.equal(third.documents[0].updates.length, 1);
+
+    // A page whose items lose their links fails, and the listing it had stays
+    // the baseline, so its items are not re-baselined when the links return
+    site.routes['/news'] = page(rows.map(() => row('javascript:void(0)', 'Loading...', '2026-03-04')));
+    const broken = await checkPolicies();
+    assert.equal(broken.documents[0].outcome, 'error');
+
+    site.routes['/news'] = page([row('/news/ai-safety', 'AI safety update', '2026-03-05'), row('/news/ai-strategy', 'AI strategy released', '2026-03-04'), ...rows]);
+    site.routes['/news/ai-safety'] = '<p>An artificial intelligence safety update.</p>';
+    const fixed = await checkPolicies();
+    assert.equal(fixed.documents[0].outcome, 'new-items');
+    assert.equal(fixed.documents[0].updates.length, 1);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Just enough of the DOM for renderMarkdown: elements, text nodes and
+// fragments, with the properties it sets. Nothing here parses HTML, so any
+// markup in a summary can only come out as text.
+class Node {
+    constructor(name) {
+        this.name = name;
+        this.children = [];
+        this.properties = {};
+    }
+
+    appendChild(child) {
+        this.children.push(child);
+        return child;
+    }
+
+    set textContent(text) {
+        this.children = [{ text: String(text) }];
+    }
+}
+for (const property of ['href', 'target', 'rel']) {
+    Object.defineProperty(Node.prototype, property, {
+        get() { return this.properties[property]; },
+        set(value) { this.properties[property] = String(value); }
+    });
+}
+
+global.document = {
+    createElement: name => new Node(name),
+    createTextNode: text => ({ text: String(text) }),
+    createDocumentFragment: () => new Node('#fragment')
+};
+
+const { renderMarkdown, safeHref } = require('../markdown');
+
+function elements(node) {
+    return node.children.filter(child => child instanceof Node).flatMap(child => [child, ...elements(child)]);
+}
+
+function text(node) {
+    return node.children.map(child => (child instanceof Node ? text(child) : child.text)).join('');
+}
+
+// Markup in a summary must come out as text, and no element may carry anything
+// but the properties renderMarkdown sets itself
+function assertInert(fragment) {
+    for (const element of elements(fragment)) {
+        assert.match(element.name, /^(p|br|h[4-6]|ul|ol|li|strong|em|code|a)$/);
+        assert.deepEqual(Object.keys(element.properties).filter(name => !['href', 'target', 'rel'].includes(name)), []);
+        if (element.name === 'a') assert.match(element.href, /^(https?|mailto):/);
+    }
+}
+
+test('Markdown becomes headings, lists, emphasis and links', () => {
+    const fragment = renderMarkdown('## Changes\n\nTerms **updated** for *AI*\n- Training uses `chats`\n- See [the terms](https://example.com/terms)');
+    assert.deepEqual(fragment.children.map(child => child.name), ['h5', 'p', 'ul']);
+    assert.deepEqual(elements(fragment).map(element => element.name), ['h5', 'p', 'strong', 'em', 'ul', 'li', 'code', 'li', 'a']);
+
+    const link = elements(fragment).find(element => element.name === 'a');
+    assert.equal(link.href, 'https://example.com/terms');
+    assert.equal(link.rel, 'noopener noreferrer');
+    assertInert(fragment);
+});
+
+test('script tags stay text', () => {
+    const fragment = renderMarkdown('Summary <script>alert(document.cookie)</script>\n\n<img src=x onerror="alert(1)">');
+    assertInert(fragment);
+    assert.equal(text(fragment), 'Summary <script>alert(document.cookie)</script><img src=x onerror="alert(1)">');
+});
+
+test('javascript: and other unsafe links keep only their text', () => {
+    for (const url of ['javascript:alert%281%29', 'JaVaScRiPt:void%200', 'data:text/html;base64,PHNjcmlwdD4=', 'vbscript:msgbox', '/relative/path', '//evil.example']) {
+        const fragment = renderMarkdown(`Read [the policy](${url}) now`);
+        assertInert(fragment);
+        assert.equal(elements(fragment).some(element => element.name === 'a'), false, url);
+        assert.equal(text(fragment), 'Read the policy now');
+    }
+    // Parentheses end a link's URL, so this one is never a link at all
+    const fragment = renderMarkdown('Read [the policy](javascript:alert(1)) now');
+    assertInert(fragment);
+    assert.equal(text(fragment), 'Read [the policy](javascript:alert(1)) now');
+    assert.equal(safeHref('https://example.com/a b'), 'https://example.com/a%20b');
+});
+
+test('event handler attributes cannot be smuggled in through link text or URLs', () => {
+    const fragment = renderMarkdown('[<b onmouseover=alert(1)>hover</b>](https://example.com/"onmouseover="alert)');
+    assertInert(fragment);
+    const link = elements(fragment).find(element => element.name === 'a');
+    // The quotes are percent-encoded into the URL rather than ending an attribute
+    assert.equal(link.href, 'https://example.com/%22onmouseover=%22alert');
+    assert.match(text(fragment), /<b onmouseover=alert\(1\)>hover<\/b>/);
+});
+
+test('nested markup is nested elements around text, never HTML', () => {
+    const fragment = renderMarkdown('**bold *and <i>italic</i>* with [a <u>link</u>](https://example.com)**\n1. `<script>` in code');
+    assertInert(fragment);
+    const names = elements(fragment).map(element => element.name);
+    assert.deepEqual(names, ['p', 'strong', 'em', 'a', 'ol', 'li', 'code']);
+    assert.equal(text(fragment.children[0]), 'bold and <i>italic</i> with a <u>link</u>');
+    const code = elements(fragment).find(element => element.name === 'code');
+    assert.equal(text(code), '<script>');
+});
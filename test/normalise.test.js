@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractText, hashContent } = require('../scripts/lib/normalise');
+
+const PAGE = `<!DOCTYPE html>
+<html>
+<head><title>Privacy | Example</title><style>p { color: red; }</style></head>
+<body>
+    <header><a href="/">Home</a> <nav><a href="/about">About</a></nav></header>
+    <div class="cookie-banner">We use cookies.</div>
+    <main>
+        <h1>Privacy   policy</h1>
+        <p>Last updated:
+            3rd March 2026</p>
+        <SCRIPT nonce="abc123">document.write('<p>Injected</p>');</SCRIPT>
+        <p>We keep your data&nbsp;for   <strong>30 days</strong>.<br>We don&rsquo;t sell it.</p>
+        <ul><li>Contact us</li><li hidden>Hidden item</li></ul>
+        <aside>Related links</aside>
+    </main>
+    <footer>© 2026 Example</footer>
+</body>
+</html>`;
+
+test('scripts, styles, navigation, header, footer and banners are dropped', () => {
+    assert.equal(extractText(PAGE), [
+        '# Privacy policy',
+        'Last updated: 2026-03-03',
+        'We keep your data for 30 days.',
+        "We don't sell it.",
+        '- Contact us'
+    ].join('\n\n') + '\n');
+});
+
+test('a page without a main landmark is read whole, minus the chrome', () => {
+    const html = '<body><nav>Menu</nav><div role="navigation">More menu</div><p>Terms apply.</p><footer>Footer</footer></body>';
+    assert.equal(extractText(html), 'Terms apply.\n');
+});
+
+test('dates are written the same way however the page prints them', () => {
+    const dates = ['3 March 2026', 'March 3, 2026', 'Mar. 3rd 2026', '03/03/2026', '2026-03-03T09:15:00+11:00']
+        .map(date => extractText(`<p>Updated ${date}</p>`));
+    assert.deepEqual(new Set(dates), new Set(['Updated 2026-03-03\n']));
+});
+
+test('whitespace, entities and typography changes do not change the hash', () => {
+    const a = extractText('<p>Your “content” – and\n\n  its   metadata &amp; logs</p>');
+    const b = extractText('<p>Your &quot;content&quot; &ndash; and its metadata &#38; logs</p>');
+    assert.equal(a, 'Your "content" - and its metadata & logs\n');
+    assert.equal(hashContent(a), hashContent(b));
+    // Nonces and inline scripts that differ per request don't either
+    assert.equal(extractText(PAGE.replace('abc123', 'xyz789').replace("'<p>Injected</p>'", "'other'")), extractText(PAGE));
+});
+
+test('pages with many scripts are read in linear time', () => {
+    const html = `<main>${'<script>var a = 1;</script><p>Clause.</p>'.repeat(20000)}</main>`;
+    const started = Date.now();
+    extractText(html);
+    const elapsed = Date.now() - started;
+    assert.ok(elapsed < 3000, `took ${elapsed}ms`);
+});
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { dispatchNotifications, validateNotificationConfig } = require('../scripts/lib/notify');
+const { REPO, readJson } = require('./helpers/site');
+
+// Every channel type, aimed at scripts/mock_notification_sink.js, plus one
+// whose variables are never set
+const CONFIG = {
+    version: 1,
+    channels: {
+        email: { type: 'smtp', host: '127.0.0.1', port: '${SINK_SMTP_PORT}', user: 'steward', password: '${SINK_PASSWORD}', from: 'AI Steward Tracker <steward@example.gov.au>', to: ['team@example.gov.au'] },
+        teams: { type: 'teams', url: '${SINK_URL}/teams' },
+        slack: { type: 'slack', url: '${SINK_URL}/slack' },
+        intranet: { type: 'webhook', url: '${SINK_URL}/intranet', secret: '${SINK_SECRET}' },
+        pager: { type: 'webhook', url: '${PAGER_WEBHOOK_URL}' }
+    },
+    subscriptions: [
+        { id: 'email-policy', channel: 'email', mode: 'immediate', categories: ['policy'] },
+        { id: 'teams-high', channel: 'teams', mode: 'immediate', minSeverity: 'high' },
+        { id: 'slack-claude', channel: 'slack', mode: 'immediate', sources: ['claude'] },
+        { id: 'intranet-digest', channel: 'intranet', mode: 'daily' },
+        { id: 'pager-critical', channel: 'pager', mode: 'immediate', minSeverity: 'critical' }
+    ]
+};
+const SECRET = 'webhook-secret';
+const NOW = new Date('2026-03-05T00:00:00Z');
+const SINCE = new Date('2026-02-01T00:00:00Z');
+
+const { updates } = readJson(path.join(__dirname, 'fixtures', 'updates.json'));
+const registry = readJson(path.join(REPO, 'data', 'sources.json'));
+
+function freePort() {
+    return new Promise(resolve => {
+        const server = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Starts the sink in its own process; resolves once both servers listen
+async function startSink(t, extraEnv = {}) {
+    const [smtpPort, httpPort] = [await freePort(), await freePort()];
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-steward-sink-'));
+    const sink = spawn(process.execPath, [path.join(REPO, 'scripts', 'mock_notification_sink.js')], {
+        env: { ...process.env, SMTP_PORT: String(smtpPort), HTTP_PORT: String(httpPort), MOCK_SINK_DIR: dir, ...extraEnv },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    t.after(() => {
+        sink.kill();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    await new Promise((resolve, reject) => {
+        let output = '';
+        const timer = setTimeout(() => reject(new Error(`Sink did not start: ${output}`)), 10000);
+        sink.stdout.on('data', chunk => {
+            output += chunk;
+            if (/SMTP sink listening/.test(output) && /webhook receiver listening/.test(output)) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+    });
+
+    return {
+        env: { SINK_SMTP_PORT: String(smtpPort), SINK_URL: `http://127.0.0.1:${httpPort}`, SINK_PASSWORD: 'secret', SINK_SECRET: SECRET },
+        // What the sink received, in arrival order
+        received: () => fs.readdirSync(dir).sort().map(file => ({ kind: file.replace(/^\d+-|\.txt$/g, ''), content: fs.readFileSync(path.join(dir, file), 'utf8') }))
+    };
+}
+
+function dispatch(sink, log) {
+    return dispatchNotifications({
+        config: CONFIG,
+        updates,
+        log,
+        since: SINCE,
+        now: NOW,
+        env: sink.env,
+        siteUrl: 'https://tracker.example.gov.au/',
+        saveLog: () => {}
+    });
+}
+
+test('the test settings are valid notification settings', () => {
+    assert.deepEqual(validateNotificationConfig(CONFIG, registry), []);
+});
+
+test('each channel type delivers to the sink, and unconfigured channels are skipped', async t => {
+    const sink = await startSink(t);
+    const log = { version: 1, subscriptions: {} };
+    const results = Object.fromEntries((await dispatch(sink, log)).map(result => [result.subscription, result]));
+
+    assert.deepEqual(results['email-policy'], { subscription: 'email-policy', sent: 1 });
+    assert.deepEqual(results['teams-high'], { subscription: 'teams-high', sent: 2 });
+    assert.deepEqual(results['slack-claude'], { subscription: 'slack-claude', sent: 2 });
+    assert.deepEqual(results['intranet-digest'], { subscription: 'intranet-digest', sent: 4 });
+    assert.deepEqual(results['pager-critical'], { subscription: 'pager-critical', sent: 0, skipped: 'channel "pager" needs PAGER_WEBHOOK_URL' });
+    assert.equal(log.subscriptions['pager-critical'], undefined);
+
+    const received = sink.received();
+    const mails = received.filter(item => item.kind === 'mail');
+    const webhooks = received.filter(item => item.kind === 'webhook').map(item => {
+        const [head, body] = item.content.split('\n\n');
+        return { head, body: JSON.parse(body) };
+    });
+    const to = route => webhooks.filter(webhook => webhook.head.startsWith(`POST ${route}`));
+
+    assert.equal(mails.length, 1);
+    assert.match(mails[0].content, /RCPT TO: <team@example.gov.au>/);
+    assert.match(mails[0].content, /Subject: \[AI Steward\] Medium severity: Office of the Australian Information Commissioner/);
+    assert.match(mails[0].content, /View the changes: https:\/\/tracker\.example\.gov\.au\/#update-oaic-news-v7-3/);
+
+    // Oldest first, so a channel reads in the order things happened
+    const cards = to('/teams').map(webhook => webhook.body.attachments[0].content);
+    assert.deepEqual(cards.map(card => card.actions[0].url), [
+        'https://tracker.example.gov.au/#update-chatgpt-privacy-v2',
+        'https://tracker.example.gov.au/#update-claude-terms-v3'
+    ]);
+    assert.match(to('/slack')[0].body.text, /^\*\[AI Steward\] Low severity: Claude Privacy Policy Update\*/);
+
+    const [digest] = to('/intranet');
+    assert.equal(digest.body.event, 'digest');
+    assert.equal(digest.body.updates.length, 4);
+    const signature = crypto.createHmac('sha256', SECRET).update(JSON.stringify(digest.body)).digest('hex');
+    assert.match(digest.head, new RegExp(`X-AI-Steward-Signature: sha256=${signature}$`, 'm'));
+});
+
+test('nothing is sent twice, and a digest waits for its period', async t => {
+    const sink = await startSink(t);
+    const log = { version: 1, subscriptions: {} };
+    await dispatch(sink, log);
+    const count = sink.received().length;
+
+    const again = await dispatch(sink, log);
+    assert.equal(sink.received().length, count);
+    assert.ok(again.filter(result => !result.skipped).every(result => result.sent === 0));
+    assert.match(again.find(result => result.subscription === 'intranet-digest').skipped, /not due yet/);
+});
+
+test('failed sends are reported and left for the next run', async t => {
+    const sink = await startSink(t, { MOCK_SINK_FAIL: '1' });
+    const log = { version: 1, subscriptions: {} };
+    const results = await dispatch(sink, log);
+
+    for (const id of ['email-policy', 'teams-high', 'slack-claude', 'intranet-digest']) {
+        const result = results.find(entry => entry.subscription === id);
+        assert.equal(result.sent, 0, id);
+        assert.ok(result.error, id);
+        assert.deepEqual(log.subscriptions[id].sent, {}, id);
+    }
+    assert.equal(log.subscriptions['intranet-digest'].lastDigest, null);
+});
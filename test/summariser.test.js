@@ -0,0 +1,185 @@
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FALLBACK_SUMMARY, createSummariser, loadSummariserConfig, parseAnalysis } = require('../scripts/lib/summariser');
+const { diffSnapshots } = require('../scripts/lib/diff');
+const { serve } = require('./helpers/site');
+
+// The fake provider answers from the prompt alone, so chunking, combining and
+// the budget run offline
+function fakeSummariser(settings = {}) {
+    return createSummariser(loadSummariserConfig({ SUMMARISER_PROVIDER: 'fake', SUMMARISER_CHUNK_TOKENS: '100', ...settings }));
+}
+
+// Each clause is its own paragraph, so a changed one is never clipped out of its part
+const section = (heading, sentence) => [`# ${heading}`, ...Array.from({ length: 12 }, (_, i) => `${sentence} number ${i}.`)].join('\n\n');
+const HEADINGS = ['Accounts', 'Payments', 'Contact'];
+const before = HEADINGS.map(heading => section(heading, `This clause covers ${heading.toLowerCase()}`)).join('\n\n');
+
+function changeEverySection(text, replacements) {
+    return HEADINGS.reduce((result, heading, index) => result.replace(`covers ${heading.toLowerCase()} number 5.`, replacements[index]), text);
+}
+
+test.beforeEach(() => {
+    test.mock.method(console, 'log', () => {});
+    test.mock.method(console, 'error', () => {});
+});
+
+test('changes in several chunks are analysed separately and combined', async () => {
+    const after = changeEverySection(before, ['covers accounts with AI number 5.', 'covers payments by card.', 'covers contact by email.']);
+    const summariser = fakeSummariser();
+    const analysis = await summariser.summarise({ kind: 'platform', sourceName: 'Example', text: after, previousText: before, diff: diffSnapshots(before, after) });
+
+    // One request per changed part, plus the combining request
+    assert.equal(summariser.usage.calls, 4);
+    assert.match(analysis.headline, /plus 2 other part\(s\)/);
+    assert.equal(analysis.changes.length, 3);
+    assert.equal(analysis.ai_relevant, true);
+    assert.equal(analysis.fallback, undefined);
+});
+
+test('once the budget is spent the remaining parts get extractive analyses', async () => {
+    const after = changeEverySection(before, ['covers accounts in euros.', 'covers payments by card.', 'covers contact by email.']);
+    const summariser = fakeSummariser({ SUMMARISER_MAX_CALLS: '1' });
+    const analysis = await summariser.summarise({ kind: 'platform', sourceName: 'Example', text: after, previousText: before, diff: diffSnapshots(before, after) });
+
+    assert.equal(summariser.usage.calls, 1);
+    assert.notEqual(analysis.headline, FALLBACK_SUMMARY);
+    assert.equal(analysis.fallback, undefined);
+    // Nothing here mentions AI, so running out of budget must not make it AI-related
+    assert.equal(analysis.ai_relevant, false);
+    assert.equal(analysis.changes.length, 3);
+});
+
+test('a budget spent before the first request still gives an extractive analysis', async () => {
+    const after = before.replace('covers accounts number 5.', 'covers accounts and machine learning.');
+    const summariser = fakeSummariser({ SUMMARISER_MAX_CHARS: '10' });
+    const analysis = await summariser.summarise({ kind: 'policy', sourceName: 'Example', text: after, previousText: before, diff: diffSnapshots(before, after) });
+
+    assert.equal(summariser.usage.calls, 0);
+    assert.match(analysis.headline, /passage\(s\) changed/);
+    assert.equal(analysis.ai_relevant, true);
+});
+
+test('a page whose text has gone empty is summarised rather than throwing', async () => {
+    const summariser = fakeSummariser();
+    const analysis = await summariser.summarise({ kind: 'policy', sourceName: 'Example', text: '', previousText: before, diff: diffSnapshots(before, '') });
+
+    assert.ok(analysis.headline);
+    assert.ok(Array.isArray(analysis.changes));
+});
+
+// The guardrails on model replies, against a scripted OpenAI-compatible API
+// that gives the replies queued in `replies`, in order
+const DOCUMENT = '# Privacy\n\nWe keep your prompts for 30 days.\n\nWe don’t use them to train models.';
+
+function reply(overrides = {}) {
+    return JSON.stringify({
+        headline: 'Prompts are kept for 30 days',
+        changes: [{ description: 'Retention period', quote: 'We keep your prompts for 30 days.', section: 'Privacy' }],
+        topics: ['data retention'],
+        ai_relevant: false,
+        ai_reasoning: 'No AI terms.',
+        severity: 'low',
+        ...overrides
+    });
+}
+
+let model;
+const replies = [];
+const prompts = [];
+test.before(async () => {
+    model = await serve({
+        '/v1/chat/completions': (request, response) => {
+            let body = '';
+            request.on('data', chunk => body += chunk);
+            request.on('end', () => {
+                prompts.push(JSON.parse(body).messages[0].content);
+                response.writeHead(200, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: replies.shift() } }] }));
+            });
+        }
+    });
+});
+test.after(() => model.close());
+
+async function summariseWith(queued, settings = {}) {
+    replies.splice(0, replies.length, ...queued);
+    prompts.length = 0;
+    const summariser = createSummariser(loadSummariserConfig({ SUMMARISER_PROVIDER: 'openai', SUMMARISER_BASE_URL: `${model.url}/v1`, ...settings }));
+    return summariser.summarise({ kind: 'platform', sourceName: 'Example', text: DOCUMENT });
+}
+
+test('replies are rejected unless they are JSON matching the schema', () => {
+    const request = { text: DOCUMENT };
+    assert.deepEqual(parseAnalysis('Sorry, I cannot help with that.', request), { problems: ['the reply did not contain a JSON object'] });
+    assert.deepEqual(parseAnalysis('{"headline": "Cut off', request), { problems: ['the reply did not contain a JSON object'] });
+    assert.match(parseAnalysis('{"headline": "x",}', request).problems[0], /^the JSON could not be parsed/);
+    assert.ok(parseAnalysis(reply({ severity: 'urgent' }), request).problems.some(problem => /severity/.test(problem)));
+    assert.ok(parseAnalysis(reply({ ai_relevant: undefined }), request).problems.some(problem => /ai_relevant/.test(problem)));
+});
+
+test('replies are rejected when a quote is not in the document', () => {
+    const request = { text: DOCUMENT, previousText: 'We keep your prompts for 90 days.' };
+    const invented = reply({ changes: [{ description: 'Sharing', quote: 'We sell your prompts to advertisers.' }] });
+    assert.deepEqual(parseAnalysis(invented, request), { problems: ['this quote is not in the document: "We sell your prompts to advertisers."'] });
+
+    // Case, spacing, typographic quotes, trailing ellipses and the previous version are all fine
+    const loose = reply({ changes: [
+        { description: 'Training', quote: "we  don't use them to TRAIN..." },
+        { description: 'Old period', quote: 'We keep your prompts for 90 days.' }
+    ] });
+    const { analysis, problems } = parseAnalysis(loose, request);
+    assert.equal(problems, undefined);
+    assert.deepEqual(analysis.changes.map(change => change.quote), ["we  don't use them to TRAIN...", 'We keep your prompts for 90 days.']);
+});
+
+test('a rejected reply is retried with the problems listed', async t => {
+    t.mock.method(console, 'error', () => {});
+    const analysis = await summariseWith(['Here is the summary: {"headline": ', reply()]);
+
+    assert.equal(prompts.length, 2);
+    assert.match(prompts[1], /Your previous reply was rejected: the reply did not contain a JSON object\./);
+    assert.equal(analysis.headline, 'Prompts are kept for 30 days');
+    assert.equal(analysis.fallback, undefined);
+});
+
+test('an invented quote is retried, then falls back when it persists', async t => {
+    t.mock.method(console, 'error', () => {});
+    const invented = reply({ changes: [{ description: 'Sharing', quote: 'We sell your prompts to advertisers.' }] });
+
+    assert.equal((await summariseWith([invented, reply()])).fallback, undefined);
+    assert.match(prompts[1], /this quote is not in the document: "We sell your prompts to advertisers\."/);
+
+    const analysis = await summariseWith([invented, invented, reply()], { SUMMARISER_RETRIES: '1' });
+    assert.equal(prompts.length, 2);
+    assert.equal(analysis.headline, FALLBACK_SUMMARY);
+    assert.equal(analysis.fallback, true);
+    // Assumed AI-related, so a change is never dropped because the model failed
+    assert.equal(analysis.ai_relevant, true);
+    assert.ok(analysis.changes.every(change => DOCUMENT.includes(change.quote)));
+});
+
+test('the mock summariser server exercises the retry path', async t => {
+    t.mock.method(console, 'error', () => {});
+    const port = await new Promise(resolve => {
+        const probe = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port: free } = probe.address();
+            probe.close(() => resolve(free));
+        });
+    });
+    const server = spawn(process.execPath, [path.join(__dirname, '..', 'scripts', 'mock_summariser_server.js')], {
+        env: { ...process.env, PORT: String(port), MOCK_SUMMARISER_INVALID: 'first' },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    t.after(() => server.kill());
+    await new Promise(resolve => server.stdout.once('data', resolve));
+
+    const summariser = createSummariser(loadSummariserConfig({ SUMMARISER_PROVIDER: 'openai', SUMMARISER_BASE_URL: `http://127.0.0.1:${port}/v1` }));
+    const analysis = await summariser.summarise({ kind: 'platform', sourceName: 'Example', text: DOCUMENT });
+    assert.equal(summariser.usage.calls, 2);
+    assert.match(analysis.headline, /^Mock summary from gpt-4o-mini/);
+    assert.equal(analysis.fallback, undefined);
+});